@@ -0,0 +1,125 @@
+/*
+ * Copyright 2026 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+/* eslint-disable no-console, no-await-in-loop */
+
+/*
+ * Micro benchmarks for the logging pipeline.
+ *
+ *   npm run bench                            # print messages per second
+ *   npm run bench -- --save before.json      # also save the results
+ *   npm run bench -- --compare before.json   # show the change relative to saved results
+ *
+ * To measure the effect of a change, save the results on the base commit
+ * and compare against them on the changed tree; e.g. for the synchronous dispatch,
+ * on the commit before "Dispatch log messages synchronously". Cases using
+ * loggers the base commit does not have (like StreamLogger) are skipped there.
+ * Each case logs a fixed number of messages several times; the median
+ * throughput is reported.
+ */
+import {
+  openSync, readFileSync, writeFileSync,
+} from 'node:fs';
+import { Writable } from 'node:stream';
+import { parseArgs } from 'node:util';
+import * as helixLog from '../src/index.js';
+
+const {
+  FileLogger, MemLogger, messageFormatSimple, MultiLogger, SimpleInterface, StreamLogger,
+} = helixLog;
+
+const { values: args } = parseArgs({
+  options: {
+    iterations: { type: 'string', default: '100000' },
+    runs: { type: 'string', default: '7' },
+    save: { type: 'string' },
+    compare: { type: 'string' },
+  },
+});
+
+const iterations = Number(args.iterations);
+const runs = Number(args.runs);
+
+// Stream accepting everything right away
+const nullStream = () => new Writable({
+  write(chunk, enc, next) {
+    next();
+  },
+});
+
+// Each case returns the logger to log to; MemLoggers are emptied between runs
+const cases = {
+  MemLogger: () => new MemLogger({ formatter: messageFormatSimple }),
+  'MultiLogger, 3 MemLoggers': () => new MultiLogger({
+    a: new MemLogger({ formatter: messageFormatSimple }),
+    b: new MemLogger({ formatter: messageFormatSimple }),
+    c: new MemLogger({ formatter: messageFormatSimple }),
+  }),
+  'FileLogger, /dev/null': () => new FileLogger(openSync('/dev/null', 'a'), {
+    formatter: messageFormatSimple,
+  }),
+  ...StreamLogger && {
+    'StreamLogger, null stream': () => new StreamLogger(nullStream(), {
+      formatter: messageFormatSimple,
+    }),
+  },
+  'disabled level': () => new MemLogger({ level: 'info' }),
+};
+
+const reset = (logger) => {
+  const sinks = logger instanceof MultiLogger ? [...logger.loggers.values()] : [logger];
+  sinks.filter((sink) => sink instanceof MemLogger).forEach((sink) => {
+    sink.buf = [];
+  });
+};
+
+const measure = async (log) => {
+  const start = process.hrtime.bigint();
+  for (let i = 0; i < iterations; i += 1) {
+    log.debug('Handled request ', i, ' in ', 42, 'ms');
+  }
+  // Let any asynchronous work finish
+  await log.flush();
+  const secs = Number(process.hrtime.bigint() - start) / 1e9;
+  return iterations / secs;
+};
+
+const median = (vals) => vals.toSorted((a, b) => a - b)[Math.floor(vals.length / 2)];
+
+const results = {};
+for (const [name, setup] of Object.entries(cases)) {
+  const logger = setup();
+  const log = new SimpleInterface({ logger });
+  await measure(log); // Warm up
+  const rates = [];
+  for (let run = 0; run < runs; run += 1) {
+    reset(logger);
+    rates.push(await measure(log));
+  }
+  reset(logger);
+  if (logger instanceof FileLogger) {
+    logger.close();
+  }
+  results[name] = Math.round(median(rates));
+}
+
+const baseline = args.compare ? JSON.parse(readFileSync(args.compare, 'utf-8')) : {};
+const width = Math.max(...Object.keys(results).map((n) => n.length));
+console.log(`Node ${process.version}; ${iterations} messages, median of ${runs} runs\n`);
+for (const [name, rate] of Object.entries(results)) {
+  const base = baseline[name];
+  const change = base ? `  (${((rate / base - 1) * 100).toFixed(1)}% vs. ${base.toLocaleString('en-US')})` : '';
+  console.log(`${name.padEnd(width)}  ${rate.toLocaleString('en-US').padStart(12)} msg/s${change}`);
+}
+if (args.save) {
+  writeFileSync(args.save, `${JSON.stringify(results, null, 2)}\n`);
+}
@@ -14,3 +14,8 @@ export * from './secret.js';
 export * from './serialize-json.js';
 export * from './log.js';
 export * from './recording.js';
+export * from './named-loggers.js';
+export * from './sampling.js';
+export * from './rate-limit.js';
+export * from './redact.js';
+export * from './stack-frames.js';
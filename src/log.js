@@ -13,12 +13,20 @@
 /* eslint-disable no-console, no-param-reassign, no-use-before-define,no-unused-vars */
 /* eslint-disable no-underscore-dangle, max-classes-per-file */
 /* eslint-disable consistent-return, lines-between-class-members, implicit-arrow-linebreak */
-import { inspect } from 'node:util';
+import { AsyncLocalStorage } from 'node:async_hooks';
+import { formatWithOptions, inspect } from 'node:util';
 import {
   bgBlackBright, bgBlueBright, bgRed, bgYellow, black,
 } from 'colorette';
 
-import { closeSync, openSync, writeSync } from 'node:fs';
+import {
+  closeSync, createReadStream, createWriteStream, existsSync, fstatSync, openSync,
+  renameSync, statSync, unlinkSync, write, writeSync,
+} from 'node:fs';
+import { readdir, rm, stat } from 'node:fs/promises';
+import { basename, dirname, join } from 'node:path';
+import { pipeline } from 'node:stream/promises';
+import { createGzip } from 'node:zlib';
 import { jsonifyForLog } from './serialize-json.js';
 import {
   typename,
@@ -42,16 +50,25 @@ const __loglevelMap = {
   silly: 7,
 };
 
+// Colors used by messageFormatConsole for the `[LEVEL]` prefix
+const __levelColors = {
+  error: (s) => bgRed(black(s)),
+  warn: (s) => bgYellow(black(s)),
+  verbose: (s) => bgBlueBright(black(s)),
+};
+
 /**
  * This can be used to convert a string log level into it's
  * numeric equivalent. More pressing log levels have lower numbers.
  *
+ * Additional levels can be added using `registerLogLevel()`.
+ *
  * @throws {Error} If the given log level name is invalid.
  * @param {string} name Name of the log level
  * @returns {number} The numeric log level
  */
 export const numericLogLevel = (name) => {
-  const r = __loglevelMap[name];
+  const r = Object.hasOwn(__loglevelMap, name) ? __loglevelMap[name] : undefined;
   /* istanbul ignore next */
   if (r === undefined) {
     throw new Error(`Not a valid log level: ${name}`);
@@ -61,6 +78,58 @@ export const numericLogLevel = (name) => {
 
 numericLogLevel.__loglevelMap = __loglevelMap;
 
+/**
+ * Register an additional log level.
+ *
+ * The priority determines where the level sits relative to the built-in levels
+ * (fatal=0, error=1, warn=2, info=3, verbose=4, debug=5, trace=6, silly=7);
+ * it does not need to be an integer.
+ *
+ * This also adds methods named after the level to SimpleInterface
+ * (e.g. `notice()` and `noticeFields()`).
+ *
+ * @example
+ * ```
+ * registerLogLevel('notice', 2.5, { color: (s) => bgCyan(black(s)) });
+ * log.notice('Disk usage above 80%');
+ * ```
+ *
+ * @function
+ * @throws {Error} If the name is invalid, already registered or clashes with
+ *   an existing SimpleInterface method.
+ * @param {string} name Name of the log level
+ * @param {number} priority The numeric log level; more pressing levels have lower numbers.
+ * @param {Object} [opts] – Optional, named parameters
+ * @param {Function} [opts.color] Used by messageFormatConsole to format the `[LEVEL]`
+ *   prefix of messages with this level; defaults to a grey background.
+ */
+export const registerLogLevel = (name, priority, { color } = {}) => {
+  if (type(name) !== String || !name.match(/^[a-z][a-zA-Z0-9]*$/)) {
+    throw new Error(`Not a valid log level name: ${name}`);
+  }
+  if (Object.hasOwn(__loglevelMap, name)) {
+    throw new Error(`Log level already registered: ${name}`);
+  }
+  if (type(priority) !== Number || Number.isNaN(priority)) {
+    throw new Error(`Log level priority must be a number, not ${tryInspect(priority)}`);
+  }
+  const proto = SimpleInterface.prototype;
+  if (name in proto || `${name}Fields` in proto) {
+    throw new Error(`Log level ${name} clashes with an existing SimpleInterface method.`);
+  }
+
+  __loglevelMap[name] = priority;
+  if (color) {
+    __levelColors[name] = color;
+  }
+  proto[name] = function logLevel(...msg) {
+    this._logImpl(name, ...msg, {});
+  };
+  proto[`${name}Fields`] = function logLevelFields(...msg) {
+    this._logImpl(name, ...msg);
+  };
+};
+
 /**
  * Internally helix log passe these messages around.
  *
@@ -83,6 +152,12 @@ numericLogLevel.__loglevelMap = __loglevelMap;
  *   // formatters can do more fancy operations (like colorizing certain
  *   // types; or we could)
  *   message: ['Print ', 42, ' deep thoughts!']
+ *
+ *   // If the first message component is a printf-style format string
+ *   // (e.g. `message: ['Print %d deep thoughts!', 42]`), it is also given
+ *   // here; this way messages can be grouped by their template.
+ *   messageTemplate: 'Print %d deep thoughts!',
+ *
  *   exception: {
  *
  *     // REQUIRED
@@ -131,6 +206,89 @@ export const makeLogMessage = (fields = {}) => {
   return r;
 };
 
+/**
+ * A message component or field value that is only computed once it is
+ * certain that the message will actually be written; i.e. after the level
+ * and filter checks of the logging interface and the logger have passed.
+ *
+ * The value is computed at most once, even if the message is written by
+ * multiple loggers (e.g. the loggers of a MultiLogger). Use `lazy()` to create.
+ *
+ * Note that filters see the Lazy objects, not their values.
+ *
+ * @class
+ * @param {Function} fn Computes the value
+ */
+export class Lazy {
+  constructor(fn) {
+    assign(this, { fn, _computed: false });
+  }
+
+  /**
+   * The value; computed on first access.
+   * @memberOf Lazy#
+   * @member {*} value
+   */
+  get value() {
+    if (!this._computed) {
+      this._value = this.fn();
+      this._computed = true;
+    }
+    return this._value;
+  }
+}
+
+/**
+ * Wrap a function computing a message component or field value that is
+ * expensive to compute, so it is only called if the message is actually
+ * written. See `Lazy`.
+ *
+ * Plain functions are not evaluated, since logging a function is perfectly valid.
+ *
+ * @example
+ * ```
+ * log.debugFields('Response', lazy(() => inspect(body)), {
+ *   diff: lazy(() => computeDiff(before, after)),
+ * });
+ * ```
+ *
+ * @function
+ * @param {Function} fn Computes the value
+ * @returns {Lazy}
+ */
+export const lazy = (fn) => new Lazy(fn);
+
+const __isLazy = (v) => v instanceof Lazy;
+const __resolve = (v) => (__isLazy(v) ? v.value : v);
+
+// Wrap the values of fields with serializers in Lazy values running the serializer
+const __applySerializers = (serializers, fields) => {
+  const names = Object.keys(serializers).filter((name) => name in fields);
+  if (names.length === 0) {
+    return fields;
+  }
+  const r = { ...fields };
+  for (const name of names) {
+    const value = fields[name];
+    r[name] = new Lazy(() => serializers[name](__resolve(value)));
+  }
+  return r;
+};
+
+// Replace Lazy field values and message components with their values
+const __resolveLazy = (fields) => {
+  const { message } = fields;
+  const lazyMessage = type(message) === Array && message.some(__isLazy);
+  if (!lazyMessage && !Object.values(fields).some(__isLazy)) {
+    return fields;
+  }
+  const r = Object.fromEntries(Object.entries(fields).map(([k, v]) => [k, __resolve(v)]));
+  if (lazyMessage) {
+    r.message = message.map(__resolve);
+  }
+  return r;
+};
+
 /**
  * Wrapper around inspect that is extremely robust against errors
  * during inspection.
@@ -191,19 +349,60 @@ export const tryInspect = (what, opts = {}) => {
   return isdef(msg) ? msg : '<<COULD NOT INSPECT>>';
 };
 
+const __formatSpecifier = /%[sdifjoOc%]/g;
+
+// Substitute the format specifiers in template with args like util.format();
+// returns the resulting string and the arguments not consumed
+const __formatTemplate = (template, args, opts) => {
+  if (args.length === 0) {
+    return [template, args];
+  }
+  let idx = 0;
+  const str = template.replace(__formatSpecifier, (spec) => {
+    if (spec === '%%') {
+      return '%';
+    } else if (idx >= args.length) {
+      return spec;
+    }
+    const arg = args[idx];
+    idx += 1;
+    if (spec === '%O') {
+      return tryInspect(arg, opts);
+    }
+    try {
+      return formatWithOptions({ colors: Boolean(opts.colors) }, spec, arg);
+    } catch (e) {
+      return tryInspect(arg, opts);
+    }
+  });
+  return [str, args.slice(idx)];
+};
+
 /**
  * Turns the message field into a string.
  *
+ * With `formatString`, the first message component is treated as a printf-style
+ * format string, supporting the same format specifiers as `util.format()`:
+ * `%s %d %i %f %j %o %O %c %%`. Components not consumed by the format string are
+ * appended as usual.
+ *
  * @function
  * @param {Array<*>|undefined} msg – Message components to serialize
  * @param {Object} opts – Parameters are forwarded to tryInspect()
+ * @param {boolean} [opts.formatString=false] – Whether the first component is a format string
+ * @param {Function} [opts.redact] – Applied to each component before serializing it,
+ *   e.g. a function created by `createRedactor()`.
  * @returns {string}
  */
-export const serializeMessage = (msg, opts = {}) => {
+export const serializeMessage = (msg_, opts = {}) => {
+  const msg = isdef(opts.redact) && type(msg_) === Array ? msg_.map(opts.redact) : msg_;
   if (msg === undefined) { // No message at all (which is OK!)
     return '';
   } else if (type(msg) === Array) { // Message is an array (as is proper)
-    return msg
+    const [str, args] = opts.formatString && type(msg[0]) === String
+      ? __formatTemplate(msg[0], msg.slice(1), opts)
+      : ['', msg];
+    return str + args
       .map((v) => (type(v) === String ? v : tryInspect(v, opts)))
       .join('');
   } else {
@@ -239,6 +438,21 @@ export const serializeMessage = (msg, opts = {}) => {
  * @returns {*} Whatever kind of type the Logger needs. Usually a string.
  */
 
+// Serialize the message followed by the custom fields (i.e. anything but level
+// and timestamp); the messageTemplate is omitted since it is part of the message.
+// `opts.redact` is applied to the message components and the custom fields.
+const __serializeWithFields = (fields, opts = {}) => {
+  const {
+    // eslint-disable-next-line no-unused-vars
+    level, timestamp, message, messageTemplate, ...rest
+  } = fields;
+  const ser = serializeMessage(message, { formatString: isdef(messageTemplate), ...opts });
+  if (empty(rest)) {
+    return ser;
+  }
+  return `${ser} ${tryInspect(isdef(opts.redact) ? opts.redact(rest) : rest, opts)}`;
+};
+
 /**
  * Simple message format: Serializes the message and prefixes it with
  * the log level.
@@ -251,12 +465,8 @@ export const serializeMessage = (msg, opts = {}) => {
  * @param {Message} fields
  * @return {string}
  */
-export const messageFormatSimple = (fields, opts) => {
-  // eslint-disable-next-line
-  const { level, timestamp, message, ...rest } = fields;
-  const full = empty(rest) ? message : [...message, ' ', rest];
-  return `[${level.toUpperCase()}] ${serializeMessage(full, opts)}`;
-};
+export const messageFormatSimple = (fields, opts) => (
+  `[${fields.level.toUpperCase()}] ${__serializeWithFields(fields, opts)}`);
 
 /**
  * Message format that includes extra information; prefixes each message
@@ -271,22 +481,20 @@ export const messageFormatSimple = (fields, opts) => {
  * @returns {string}
  */
 export const messageFormatTechnical = (fields, opts) => {
-  const {
-    level, timestamp, message, ...rest
-  } = fields;
+  const { level, timestamp } = fields;
 
   // Timestamp with extra spaces
   const ts = timestamp.toISOString().replace(/T|(?=Z)|(?=[+-]\d+$)/g, ' ');
   const pref = [level.toUpperCase(), ts];
 
-  const fullMsg = empty(rest) ? message : [...message, ' ', rest];
-  return `[${pref.join(' ')}] ${serializeMessage(fullMsg, opts)}`;
+  return `[${pref.join(' ')}] ${__serializeWithFields(fields, opts)}`;
 };
 
 /**
  * Message format with coloring/formatting escape codes
  *
- * Designed for use in terminals.
+ * Designed for use in terminals. The color of custom log levels
+ * can be given to `registerLogLevel()`.
  *
  * @function
  * @type MessageFormatter
@@ -294,10 +502,8 @@ export const messageFormatTechnical = (fields, opts) => {
  * @returns {string}
  */
 export const messageFormatConsole = (fields, opts) => {
-  // eslint-disable-next-line
-  const { level, timestamp, message, ...rest } = fields;
-  const fullMsg = empty(rest) ? message : [...message, ' ', rest];
-  const ser = serializeMessage(fullMsg, { colors: true, ...opts });
+  const { level } = fields;
+  const ser = __serializeWithFields(fields, { colors: true, ...opts });
   const pref = `[${level.toUpperCase()}]`;
 
   if (level === 'info') {
@@ -306,45 +512,50 @@ export const messageFormatConsole = (fields, opts) => {
     return bgRed(black(`${pref} ${ser}`));
   }
 
-  const cols = {
-    error: bgRed,
-    warn: bgYellow,
-    verbose: bgBlueBright,
-  };
-  const bgColor = cols[level];
-  if (bgColor) {
-    return `${bgColor(black(pref))} ${ser}`;
-  }
-
-  return `${bgBlackBright(pref)} ${ser}`;
+  const color = __levelColors[level] || bgBlackBright;
+  return `${color(pref)} ${ser}`;
 };
 
 /**
  * Use jsonifyForLog to turn the fields into something that
  * can be converted to json.
  *
+ * The options are passed on to jsonifyForLog, so limits can be
+ * set by wrapping the formatter:
+ *
+ * ```
+ * const logger = new ConsoleLogger({
+ *   formatter: (fields, opts) => messageFormatJsonString(fields, {
+ *     ...opts, maxDepth: 10, maxStringLength: 10000, maxSize: 100000,
+ *   }),
+ * });
+ * ```
+ *
  * @function
  * @type MessageFormatter
  * @oaram {Message} message the log message
  * @param {*} fields additional log fields
+ * @param {Object} [opts] – Options for serializeMessage and jsonifyForLog
  * @returns {Object}
  */
-export const messageFormatJson = ({ message, ...fields }, opts) => jsonifyForLog({
-  message: serializeMessage(message, opts),
+export const messageFormatJson = ({ message, ...fields }, opts = {}) => jsonifyForLog({
+  message: serializeMessage(message, { formatString: isdef(fields.messageTemplate), ...opts }),
   ...fields,
-});
+}, opts);
 
 /**
  * Message format that produces & serialize json.
  *
- * Really just an alias for `JSON.stringify(messageFormatJson(fields))`.
+ * Really just an alias for `JSON.stringify(messageFormatJson(fields, opts))`.
  *
  * @function
  * @type MessageFormatter
  * @param {Message} fields
+ * @param {Object} [opts] – Options for messageFormatJson
  * @returns {Object}
  */
-export const messageFormatJsonString = (fields) => JSON.stringify(messageFormatJson(fields));
+export const messageFormatJsonString = (fields, opts) => (
+  JSON.stringify(messageFormatJson(fields, opts)));
 
 /**
  * Helper function that creates a derived logger that is derived from a given logger, merging
@@ -362,45 +573,147 @@ export const deriveLogger = (logger, opts) => {
   return new logger.constructor({ ...logger, defaultFields, ...rest });
 };
 
+const __reportLoggingException = async (fields, logger, e) => {
+  const errorMsg = 'Encountered exception while logging!';
+  // Debounce error messages
+  if (!fields.message || fields.message[0] !== errorMsg) {
+    // Defer logging the error (useful with multi logger so all messages
+    // are logged before the errors are logged)
+    await new Promise((res) => {
+      setImmediate(res);
+    });
+    logger.log({
+      level: 'error',
+      message: [errorMsg],
+      application: 'infrastructure',
+      subsystem: 'helix-log-error-handling',
+      exception: e,
+      logger,
+    });
+  }
+};
+
+const __isThenable = (v) => isdef(v) && type(v.then) === Function;
+
 /**
  * Helper to wrap any block of code and handle it's async & sync exceptions.
  *
  * This will catch any exceptions/promise rejections and log them using the rootLogger.
  *
+ * The code is run synchronously; only if it returns a promise or throws
+ * a promise is returned.
+ *
  * @function
  * @package
  * @param {Object} fields Fields to set in any error message (usually indicates which logger
  *   was used)
  * @param {Logger} logger the logger to wrap
  * @param {Function} code The code to wrap
- * @returns {Message}
+ * @returns {Promise|undefined} Fulfills once the code (and error reporting) is done;
+ *   never rejects
  */
 const __handleLoggingExceptions = (fields, logger, code) => {
-  (async () => {
-    try {
-      await code();
-    } catch (e) {
-      const errorMsg = 'Encountered exception while logging!';
-      // Debounce error messages
-      if (!fields.message || fields.message[0] !== errorMsg) {
-        // Defer logging the error (useful with multi logger so all messages
-        // are logged before the errors are logged)
-        await new Promise((res) => {
-          setImmediate(res);
-        });
-        logger.log({
-          level: 'error',
-          message: [errorMsg],
-          application: 'infrastructure',
-          subsystem: 'helix-log-error-handling',
-          exception: e,
-          logger,
-        });
-      }
+  let r;
+  try {
+    r = code();
+  } catch (e) {
+    return __reportLoggingException(fields, logger, e);
+  }
+  // Only asynchronous code pays for promises
+  return __isThenable(r)
+    ? r.then(() => undefined, (e) => __reportLoggingException(fields, logger, e))
+    : undefined;
+};
+
+// Flush the filter of a logger or interface if it supports that
+const __flushFilter = async (owner) => {
+  if (isdef(owner.filter) && type(owner.filter.flush) === Function) {
+    await owner.filter.flush();
+  }
+};
+
+// Incremented whenever a level, a filter, the logger of an interface or the loggers
+// of a MultiLogger change; invalidates the results cached by isLevelEnabled()
+let __levelGeneration = 0;
+const __levelCaches = new WeakMap();
+
+const __invalidateLevels = () => {
+  __levelGeneration += 1;
+};
+
+// Map of loggers that invalidates cached levels when modified
+class __LoggerMap extends Map {
+  set(key, value) {
+    __invalidateLevels();
+    return super.set(key, value);
+  }
+
+  delete(key) {
+    __invalidateLevels();
+    return super.delete(key);
+  }
+
+  clear() {
+    __invalidateLevels();
+    super.clear();
+  }
+}
+
+// Define a regular (enumerable) property whose modification invalidates cached levels
+const __trackedProperty = (obj, name, value, convert = identity) => {
+  let current = convert(value);
+  Object.defineProperty(obj, name, {
+    enumerable: true,
+    get: () => current,
+    set: (v) => {
+      current = convert(v);
+      __invalidateLevels();
+    },
+  });
+};
+
+// Define non-enumerable properties for internal state, so deriveLogger()
+// does not pass them to the constructor as options
+const __assignHidden = (obj, fields) => {
+  for (const [name, value] of Object.entries(fields)) {
+    Object.defineProperty(obj, name, {
+      value, enumerable: false, writable: true, configurable: true,
+    });
+  }
+};
+
+// owner._isLevelEnabled(level), cached until any level changes
+const __cachedLevelEnabled = (owner, level) => {
+  let cache = __levelCaches.get(owner);
+  if (!cache || cache.generation !== __levelGeneration) {
+    cache = { generation: __levelGeneration, enabled: new Map() };
+    __levelCaches.set(owner, cache);
+  }
+  if (!cache.enabled.has(level)) {
+    cache.enabled.set(level, owner._isLevelEnabled(level));
+  }
+  return cache.enabled.get(level);
+};
+
+// For loggers with messages being processed asynchronously: Promise
+// fulfilling once the last of these is done
+const __asyncTails = new WeakMap();
+
+// Make messages logged to the logger wait for the given promise
+const __setAsyncTail = (logger, promise) => {
+  const tail = promise.then(() => {
+    if (__asyncTails.get(logger) === tail) {
+      __asyncTails.delete(logger);
     }
-  })();
+  });
+  __asyncTails.set(logger, tail);
+  return tail;
 };
 
+// Loggers not implementing isLevelEnabled() might log anything
+const __levelEnabledFor = (logger, level) => (
+  isdef(logger) && type(logger.isLevelEnabled) === Function ? logger.isLevelEnabled(level) : true);
+
 /**
  * Loggers are used to write log message.
  *
@@ -428,7 +741,9 @@ const __handleLoggingExceptions = (fields, logger, code) => {
  * Loggers SHOULD provide a named constructor option 'filter' and associated field
  * that can be used to transform messages arbitrarily. This option should default to
  * the `identity()` function. If the filter returns `undefined`
- * the message MUST be discarded.
+ * the message MUST be discarded. The filter SHOULD be called as a method of the
+ * logger (`this.filter(fields)`) and if the filter has a `flush()` method, it
+ * SHOULD be called by the logger's `flush()`.
  *
  * Loggers SHOULD provide a named constructor option 'defaultFields'; if they do support the
  * property they MUST perform a shallow merge/setdefault into the message AFTER applying the
@@ -456,10 +771,34 @@ const __handleLoggingExceptions = (fields, logger, code) => {
  * Even though loggers MUST NOT throw exceptions; users of this method SHOULD
  * still catch any errors and handle them appropriately.
  *
+ * Loggers SHOULD process messages synchronously if they can; if they need to do
+ * asynchronous work they SHOULD return a promise fulfilling once that is done and
+ * process messages in the order they were given nonetheless.
+ *
  * @method
  * @memberOf Logger#
  * @name log
  * @param {Message} fields
+ * @returns {Promise|undefined}
+ */
+
+/**
+ * Whether messages of the given level would be written anywhere.
+ *
+ * Only levels are taken into account; messages might still be dropped
+ * by filters (or routes). Since filters may change the level of messages,
+ * loggers with a filter SHOULD count as enabled for every level.
+ * Loggers forwarding to other loggers (like MultiLogger) SHOULD take the
+ * levels of those into account.
+ *
+ * Implementing this is OPTIONAL; loggers without it are assumed to write
+ * messages of any level.
+ *
+ * @method
+ * @memberOf Logger#
+ * @name isLevelEnabled
+ * @param {string} level The log level
+ * @returns {boolean}
  */
 
 /**
@@ -483,9 +822,14 @@ const __handleLoggingExceptions = (fields, logger, code) => {
  * This will first apply the filter, drop the message if the level is
  * too low or if the filter returned undefined and will then call the
  * subclass provided this._logImpl function for final processing.
+ * Lazy values (see `lazy()`) are computed just before calling _logImpl.
+ *
+ * This also wraps the entire logging logic into an error handler that will
+ * log any errors using the rootLogger.
  *
- * This also wraps the entire logging logic into a promise enabled/async
- * error handler that will log any errors using the rootLogger.
+ * Everything happens synchronously, unless _logImpl returns a promise. In that
+ * case `log()` returns a promise as well and any further messages are only
+ * processed once it fulfilled, so messages are always written in order.
  *
  * @example
  * ```
@@ -502,6 +846,10 @@ const __handleLoggingExceptions = (fields, logger, code) => {
  * @param {Function} [opts.filter=identity] Will be given every log message to perform
  *   arbitrary transformations; must return either another valid message object or undefined
  *   (in which case the message will be dropped).
+ * @param {Object<string, Function>} [opts.serializers={}] Functions converting the value
+ *   of the field with the same name (e.g. `{ req: (req) => ({ url: req.url }) }`).
+ *   They are applied before the filter; the converted values are lazy (see `lazy()`),
+ *   so serializers only run for messages that are written.
  */
 export class LoggerBase {
   /**
@@ -519,36 +867,85 @@ export class LoggerBase {
    * @member {Function} filter
    */
 
+  /**
+   * Field names mapped to functions converting the field's value.
+   * @memberOf LoggerBase#
+   * @member {Object<string, Function>} serializers
+   */
+
   constructor({
-    level = 'silly', defaultFields = {}, filter = identity, ...unknown
+    level = 'silly', defaultFields = {}, filter = identity, serializers = {}, ...unknown
   } = {}) {
-    assign(this, { level, filter, defaultFields });
+    __trackedProperty(this, 'level', level);
+    __trackedProperty(this, 'filter', filter);
+    assign(this, { defaultFields, serializers });
     if (!empty(unknown)) {
       throw new Error(`Unknown named options given to ${typename(type(this))}: ${tryInspect(unknown)}`);
     }
   }
 
   // Private: Code sharing with FormattedLoggerBase
-  __logWithFormatter(fields_, formatter) {
-    __handleLoggingExceptions(fields_, this, async () => {
-      const fields = this.filter(fields_);
-      if (fields !== undefined && numericLogLevel(fields.level) <= numericLogLevel(this.level)) {
-        const mergedFields = { ...this.defaultFields, ...fields };
-        if (formatter === undefined) { // LoggerBase impl
-          return this._logImpl(mergedFields);
-        } else { // FormattedLoggerBase impl
-          return this._logImpl(this.formatter(mergedFields, { logger: this }), fields);
-        }
-      }
+  __logWithFormatter(fields_, formatter, opts) {
+    const pending = __asyncTails.get(this);
+    if (isdef(pending)) {
+      // Keep the order behind messages still being processed asynchronously
+      return __setAsyncTail(this, pending.then(() => __handleLoggingExceptions(
+        fields_,
+        this,
+        () => this.__processMessage(fields_, formatter, opts),
+      )));
+    }
+    let isAsync = false;
+    const r = __handleLoggingExceptions(fields_, this, () => {
+      const res = this.__processMessage(fields_, formatter, opts);
+      isAsync = __isThenable(res);
+      return res;
     });
+    return isAsync ? __setAsyncTail(this, r) : r;
+  }
+
+  // Private: Loggers forwarding to other loggers keep lazy values,
+  // so they can be dropped there
+  __processMessage(fields_, formatter, { keepLazy = false } = {}) {
+    const fields = this.filter(__applySerializers(this.serializers, fields_));
+    if (fields !== undefined && numericLogLevel(fields.level) <= numericLogLevel(this.level)) {
+      const mergedFields = { ...this.defaultFields, ...fields };
+      if (formatter === undefined) { // LoggerBase impl
+        return this._logImpl(keepLazy ? mergedFields : __resolveLazy(mergedFields));
+      } else { // FormattedLoggerBase impl
+        const formatted = this.formatter(__resolveLazy(mergedFields), { logger: this });
+        return this._logImpl(formatted, __resolveLazy(fields));
+      }
+    }
   }
 
   log(fields) {
     return this.__logWithFormatter(fields, undefined);
   }
 
-  // eslint-disable-next-line no-empty-function,class-methods-use-this
-  async flush() { }
+  /**
+   * Whether messages of the given level would be written; always true with
+   * a filter, since that may change the level. The result is cached until
+   * a level or filter changes.
+   *
+   * @memberOf LoggerBase#
+   * @method
+   * @param {string} level The log level
+   * @returns {boolean}
+   */
+  isLevelEnabled(level) {
+    return __cachedLevelEnabled(this, level);
+  }
+
+  // Filters may change the level, so with a filter any message might be written
+  _isLevelEnabled(level) {
+    return numericLogLevel(level) <= numericLogLevel(this.level) || this.filter !== identity;
+  }
+
+  async flush() {
+    await __flushFilter(this);
+    await __asyncTails.get(this);
+  }
 }
 
 /**
@@ -587,115 +984,558 @@ export class FormattedLoggerBase extends LoggerBase {
   }
 
   log(fields) {
-    this.__logWithFormatter(fields, this.formatter);
+    return this.__logWithFormatter(fields, this.formatter);
   }
 }
 
-/**
- * Logger that is especially designed to be used in node.js
- * Print's to stderr; Marks errors, warns & debug messages
- * with a colored `[ERROR]`/... prefix.
- *
- * Formatter MUST produce strings. Default formatter is messageFormatConsole.
- *
- * @implements Logger
- * @class
- * @param {Writable} [opts.stream=console._stderr] A writable stream to log to.
- */
-export class ConsoleLogger extends FormattedLoggerBase {
-  /**
-   * Writable stream to write log messages to. Usually console._stderr.
-   * @memberOf ConsoleLogger#
-   * @member {Writable} stream
-   */
+// Summaries written by __DuplicateCollapser; never collapsed themselves
+const __repeatSummaries = new WeakSet();
 
-  constructor({ stream = console._stderr, ...rest } = {}) {
-    super({ formatter: messageFormatConsole, ...rest });
-    assign(this, { stream });
+// Implements the `collapseDuplicates` option of StreamLogger and FileLogger
+class __DuplicateCollapser {
+  constructor(logger, timeout) {
+    assign(this, {
+      logger, timeout, _key: undefined, _repeats: 0,
+    });
+  }
+
+  // True if the record repeats the previous one and must not be written
+  isDuplicate(fields) {
+    if (__repeatSummaries.has(fields)) {
+      return false;
+    }
+    const key = messageFormatJsonString({ ...fields, timestamp: undefined });
+    if (key !== this._key) {
+      this.flush();
+      this._key = key;
+      return false;
+    }
+    const timestamp = fields.timestamp || new Date();
+    if (this._repeats === 0) {
+      assign(this, { _level: fields.level, _first: timestamp });
+      this._timer = setTimeout(() => this.flush(), this.timeout);
+      this._timer.unref();
+    }
+    this._last = timestamp;
+    this._repeats += 1;
+    return true;
   }
 
-  _logImpl(str) {
-    this.stream.write(`${str}\n`);
+  // Write the summary of the repetitions so far
+  flush() {
+    clearTimeout(this._timer);
+    this._timer = undefined;
+    if (this._repeats === 0) {
+      return;
+    }
+    const { logger } = this;
+    const summary = makeLogMessage({
+      ...logger.defaultFields,
+      level: this._level,
+      message: [`Last message repeated ${this._repeats} times`],
+      repeated: this._repeats,
+      firstTimestamp: this._first,
+      lastTimestamp: this._last,
+    });
+    this._repeats = 0;
+    __repeatSummaries.add(summary);
+    logger._logImpl(logger.formatter(summary, { logger }), summary);
   }
 }
 
+const __overflowPolicies = ['dropOldest', 'dropNewest', 'block'];
+
+const __streamClosed = (stream) => Boolean(stream.destroyed || stream.writableEnded);
+
+// Call fn once the stream drained, or when it can not drain any more
+// because it was closed or failed
+const __onceWritable = (stream, fn) => {
+  const events = ['drain', 'close', 'error'];
+  const done = () => {
+    events.forEach((ev) => stream.off(ev, done));
+    fn();
+  };
+  events.forEach((ev) => stream.on(ev, done));
+};
+
 /**
- * Simple logger that forwards all messages to the underlying loggers.
- *
- * This maintains an es6 map called loggers. Consumers of this API are
- * explicitly permitted to mutate this map or replace it all together in
- * order to add, remove or alter logger.
- *
- * @example
- * ```js
- * const { createDefaultLogger } = require('@adobe/helix-log');
+ * Logger that writes to any Writable stream while respecting backpressure.
  *
- * const logger = createDefaultLogger();
+ * As long as the stream accepts data, records are written immediately. Once
+ * `stream.write()` signals that the stream's buffer is full, records are kept
+ * in a bounded queue until the stream emits 'drain'. What happens when that
+ * queue is full is determined by the `overflow` policy:
  *
- * // Changing the log level of the default logger:
- * logger.loggers.get('default').level = 'info';
+ * - `dropOldest` (default): Discard the oldest queued record to make room.
+ * - `dropNewest`: Discard the record being logged.
+ * - `block`: Never discard records; the promise returned by `log()` only
+ *   fulfills once the record fits into the queue. Note that this only slows down
+ *   code that actually awaits `log()`.
  *
- * // Adding a named logger
- * logger.loggers.set('logfile', new FileLogger('...'));
+ * If records where dropped, a warning with the number of dropped records
+ * (field `droppedMessages`) is written once the queue has been written completely.
  *
- * // Adding an anonymous logger (you can add an arbitrary number of these)
- * const name = `logfile-${uuidgen()}`;
- * logger.loggers.set(name, new FileLogger('...'));
+ * With `collapseDuplicates`, records that are identical to the previous one
+ * (same level, message and fields; the timestamp is ignored) are not written.
+ * Instead a summary like "Last message repeated 12 times" with the fields `repeated`,
+ * `firstTimestamp` and `lastTimestamp` is written once a different record arrives,
+ * `collapseTimeout` milliseconds after the first repetition or on `flush()`.
  *
- * // Deleting a logger
- * logger.loggers.delete(name);
+ * Formatter MUST produce strings. Default formatter is messageFormatTechnical.
  *
- * // Replacing all loggers
- * logger.loggers = new Map([['default', new ConsoleLogger({level: 'debug'})]]);
+ * @example
+ * ```
+ * const logger = new StreamLogger(socket, { maxQueue: 10000, overflow: 'dropNewest' });
+ * // Same as
+ * const logger = new StreamLogger({ stream: socket, maxQueue: 10000, overflow: 'dropNewest' });
  * ```
  *
  * @implements Logger
  * @class
- * @parameter {Sequence<Loggers>} loggers – The loggers to forward to.
+ * @param {Writable|Object} stream The stream to write to; or the options
+ *   (see `opts`) including the stream as `stream`.
+ * @param {Object} [opts] – Optional, named parameters
+ * @param {Integer} [opts.maxQueue=1000] Maximum number of records to queue while
+ *   waiting for the stream to drain.
+ * @param {string} [opts.overflow='dropOldest'] What to do when the queue is full;
+ *   one of `dropOldest`, `dropNewest` or `block`.
+ * @param {boolean} [opts.collapseDuplicates=false] Replace consecutive duplicate
+ *   records with a summary.
+ * @param {Integer} [opts.collapseTimeout=30000] Write the summary of repeated records
+ *   at the latest after this many milliseconds.
  */
-export class MultiLogger extends LoggerBase {
-  /*
-   * The list of loggers this is forwarding to. Feel free to mutate
-   * or replace.
-   *
-   * @memberOf MultiLogger#
-   * @member {Map<Logger>} loggers
+export class StreamLogger extends FormattedLoggerBase {
+  /**
+   * Writable stream to write log messages to.
+   * @memberOf StreamLogger#
+   * @member {Writable} stream
    */
 
-  constructor(loggers, opts = {}) {
-    super(opts);
-    this.loggers = new Map(Object.entries(loggers));
-  }
+  /**
+   * Maximum number of records queued while the stream is not accepting data.
+   * @memberOf StreamLogger#
+   * @member {Integer} maxQueue
+   */
 
-  async flush() {
-    return Promise.all(this.loggers.values().map((sub) => sub.flush()));
-  }
+  /**
+   * What to do with records if the queue is full: `dropOldest`, `dropNewest` or `block`.
+   * @memberOf StreamLogger#
+   * @member {string} overflow
+   */
 
-  _logImpl(fields) {
-    this.loggers.forEach((sub) => {
-      __handleLoggingExceptions(fields, sub, async () => {
-        await sub.log(fields);
-      });
+  /**
+   * Whether consecutive duplicate records are collapsed (given to the constructor).
+   * @memberOf StreamLogger#
+   * @member {boolean} collapseDuplicates
+   */
+
+  constructor(streamOrOpts, opts_ = {}) {
+    // The stream may be part of the options; e.g. for deriveLogger()
+    const byOpts = type(streamOrOpts) === Object && type(streamOrOpts.write) !== Function;
+    const {
+      stream, maxQueue = 1000, overflow = 'dropOldest', collapseDuplicates = false,
+      collapseTimeout = 30000, ...opts
+    } = byOpts ? streamOrOpts : { ...opts_, stream: streamOrOpts };
+    super({ formatter: messageFormatTechnical, ...opts });
+    if (!__overflowPolicies.includes(overflow)) {
+      throw new Error(`Invalid overflow policy given to ${typename(type(this))}: ${overflow}; `
+        + `must be one of ${__overflowPolicies.join(', ')}.`);
+    }
+    assign(this, {
+      stream, maxQueue, overflow, collapseDuplicates, collapseTimeout,
+    });
+    __assignHidden(this, {
+      _queue: [],
+      _blocked: [],
+      _dropped: 0,
+      _waiting: false,
+      _duplicates: collapseDuplicates ? new __DuplicateCollapser(this, collapseTimeout) : undefined,
     });
   }
-}
 
-/**
+  _logImpl(str, fields) {
+    if (this._duplicates && this._duplicates.isDuplicate(fields)) {
+      return undefined;
+    }
+    const line = `${str}\n`;
+    if (!this._waiting) {
+      this._write(line);
+    } else if (this._queue.length < this.maxQueue) {
+      this._queue.push(line);
+    } else if (this.overflow === 'dropOldest') {
+      this._queue.shift();
+      this._queue.push(line);
+      this._dropped += 1;
+    } else if (this.overflow === 'dropNewest') {
+      this._dropped += 1;
+    } else {
+      return new Promise((resolve) => {
+        this._blocked.push({ line, resolve });
+      });
+    }
+  }
+
+  _write(line) {
+    if (__streamClosed(this.stream)) {
+      return;
+    }
+    if (!this.stream.write(line)) {
+      this._waiting = true;
+      __onceWritable(this.stream, () => this._onDrain());
+    }
+  }
+
+  _onDrain() {
+    this._waiting = false;
+    if (__streamClosed(this.stream)) {
+      // Nothing can be written any more; release everything waiting
+      this._queue.length = 0;
+      this._dropped = 0;
+      this._blocked.splice(0).forEach(({ resolve }) => resolve());
+      return;
+    }
+    while (!this._waiting && this._queue.length > 0) {
+      this._write(this._queue.shift());
+      // Make room for records waiting to be queued
+      if (this._blocked.length > 0) {
+        const { line, resolve } = this._blocked.shift();
+        this._queue.push(line);
+        resolve();
+      }
+    }
+    if (!this._waiting && this._dropped > 0) {
+      const droppedMessages = this._dropped;
+      this._dropped = 0;
+      this._write(`${this.formatter(makeLogMessage({
+        level: 'warn',
+        message: [`Dropped ${droppedMessages} log messages because the stream could not keep up.`],
+        droppedMessages,
+      }), { logger: this })}\n`);
+    }
+  }
+
+  /**
+   * Write the summary of repeated records (if any) and wait until all
+   * queued records have been handed to the stream.
+   *
+   * @memberOf StreamLogger#
+   * @method
+   */
+  async flush() {
+    await super.flush();
+    if (this._duplicates) {
+      this._duplicates.flush();
+    }
+    while (this._waiting) {
+      if (__streamClosed(this.stream)) {
+        this._onDrain();
+      } else {
+        // eslint-disable-next-line no-await-in-loop
+        await new Promise((res) => {
+          __onceWritable(this.stream, res);
+        });
+      }
+    }
+  }
+}
+
+/**
+ * Logger that is especially designed to be used in node.js
+ * Print's to stderr; Marks errors, warns & debug messages
+ * with a colored `[ERROR]`/... prefix.
+ *
+ * This is a StreamLogger and thus supports the same options for
+ * dealing with backpressure.
+ *
+ * Formatter MUST produce strings. Default formatter is messageFormatConsole.
+ *
+ * @implements Logger
+ * @class
+ * @param {Writable} [opts.stream=console._stderr] A writable stream to log to.
+ */
+export class ConsoleLogger extends StreamLogger {
+  constructor({ stream = console._stderr, ...rest } = {}) {
+    super(stream, { formatter: messageFormatConsole, ...rest });
+  }
+}
+
+const __fieldMatches = (expected, value) => {
+  if (type(expected) === RegExp) {
+    return type(value) === String && expected.test(value);
+  } else if (type(expected) === Function) {
+    return Boolean(expected(value));
+  }
+  return expected === value;
+};
+
+const __routeMatches = ({ level, fields: expected = {}, when = () => true }, fields) =>
+  (!isdef(level) || numericLogLevel(fields.level) <= numericLogLevel(level))
+  && Object.entries(expected).every(([key, value]) => __fieldMatches(value, fields[key]))
+  && Boolean(when(fields));
+
+/**
+ * Simple logger that forwards all messages to the underlying loggers.
+ *
+ * This maintains an es6 map called loggers. Consumers of this API are
+ * explicitly permitted to mutate this map or replace it all together in
+ * order to add, remove or alter logger.
+ *
+ * @example
+ * ```js
+ * const { createDefaultLogger } = require('@adobe/helix-log');
+ *
+ * const logger = createDefaultLogger();
+ *
+ * // Changing the log level of the default logger:
+ * logger.loggers.get('default').level = 'info';
+ *
+ * // Adding a named logger
+ * logger.loggers.set('logfile', new FileLogger('...'));
+ *
+ * // Adding an anonymous logger (you can add an arbitrary number of these)
+ * const name = `logfile-${uuidgen()}`;
+ * logger.loggers.set(name, new FileLogger('...'));
+ *
+ * // Deleting a logger
+ * logger.loggers.delete(name);
+ *
+ * // Replacing all loggers
+ * logger.loggers = new Map([['default', new ConsoleLogger({level: 'debug'})]]);
+ * ```
+ *
+ * Optionally, messages can be routed to specific loggers instead. Routes are
+ * checked in order; a message is sent to the loggers named in the `to` property
+ * of every matching route (at most once per logger). If a matching route is
+ * `exclusive`, no further routes are checked. Messages matching no route are
+ * discarded. A route matches if all of the given conditions hold:
+ *
+ * - `level`: The message has at least this log level.
+ * - `fields`: For each key, the message field is equal to the given value,
+ *   matches the given RegExp or the given function returns true for it.
+ * - `when`: The given function returns true for the message.
+ *
+ * @example
+ * ```js
+ * const logger = new MultiLogger({
+ *   errors: new FileLogger('errors.log'),
+ *   audit: new FileLogger('audit.log'),
+ *   console: new ConsoleLogger(),
+ * }, {
+ *   routes: [
+ *     { level: 'error', to: 'errors', exclusive: true },
+ *     { fields: { subsystem: 'audit' }, to: 'audit', exclusive: true },
+ *     { to: 'console' }, // Everything else
+ *   ],
+ * });
+ * ```
+ *
+ * @implements Logger
+ * @class
+ * @parameter {Sequence<Loggers>} loggers – The loggers to forward to.
+ * @param {Object} [opts] – Optional, named parameters
+ * @param {Array<Object>} [opts.routes] Send messages only to the loggers selected
+ *   by these routes; by default all messages are sent to all loggers.
+ */
+export class MultiLogger extends LoggerBase {
+  /*
+   * The list of loggers this is forwarding to. Feel free to mutate
+   * or replace.
+   *
+   * @memberOf MultiLogger#
+   * @member {Map<Logger>} loggers
+   */
+
+  /**
+   * The routes used to select loggers for each message; undefined
+   * sends every message to all loggers. Feel free to mutate or replace.
+   *
+   * @memberOf MultiLogger#
+   * @member {Array<Object>} routes
+   */
+
+  constructor(loggers, { routes, ...opts } = {}) {
+    super(opts);
+    __trackedProperty(this, 'loggers', Object.entries(loggers), (l) => (
+      l instanceof __LoggerMap ? l : new __LoggerMap(l)));
+    this.routes = routes;
+  }
+
+  log(fields) {
+    return this.__logWithFormatter(fields, undefined, { keepLazy: true });
+  }
+
+  // Enabled if any of the loggers is (or the filter may change the level)
+  _isLevelEnabled(level) {
+    return super._isLevelEnabled(level) && (this.filter !== identity
+      || this.loggers.values().some((sub) => __levelEnabledFor(sub, level)));
+  }
+
+  async flush() {
+    await super.flush();
+    return Promise.all(this.loggers.values().map((sub) => sub.flush()));
+  }
+
+  // The loggers the given message should be sent to
+  _route(fields) {
+    if (!isdef(this.routes)) {
+      return this.loggers;
+    }
+    const targets = new Set();
+    for (const route of this.routes) {
+      if (__routeMatches(route, fields)) {
+        for (const name of [route.to].flat()) {
+          if (!this.loggers.has(name)) {
+            throw new Error(`MultiLogger route refers to unknown logger: ${name}`);
+          }
+          targets.add(this.loggers.get(name));
+        }
+        if (route.exclusive) {
+          break;
+        }
+      }
+    }
+    return targets;
+  }
+
+  _logImpl(fields) {
+    this._route(fields).forEach((sub) => {
+      __handleLoggingExceptions(fields, sub, () => sub.log(fields));
+    });
+  }
+}
+
+// WeakRefs to all FileLoggers that can be reopened; so loggers that are
+// never closed can still be garbage collected
+const __fileLoggers = new Set();
+
+// All FileLoggers in buffered mode; these are flushed when the process exits
+const __bufferedFileLoggers = new Set();
+
+const __flushBufferedFileLoggers = () => {
+  __bufferedFileLoggers.forEach((logger) => {
+    try {
+      logger.flushSync();
+    } catch (e) {
+      console.error('Encountered exception while logging!', e);
+    }
+  });
+};
+
+// Async write() resolving to the number of bytes written
+const __write = (fd, buf, off) => new Promise((res, rej) => {
+  write(fd, buf, off, (err, written) => (err ? rej(err) : res(written)));
+});
+
+const __datePatternTokens = {
+  Y: (d) => String(d.getUTCFullYear()).padStart(4, '0'),
+  m: (d) => String(d.getUTCMonth() + 1).padStart(2, '0'),
+  d: (d) => String(d.getUTCDate()).padStart(2, '0'),
+  H: (d) => String(d.getUTCHours()).padStart(2, '0'),
+  '%': () => '%',
+};
+
+// Replace the %Y/%m/%d/%H placeholders in a file name with the given (UTC) date
+const __expandDatePattern = (pattern, date) =>
+  pattern.replace(/%([YmdH%])/g, (_, tok) => __datePatternTokens[tok](date));
+
+// Regular expression matching every file name the given file name pattern
+// can produce; including files rotated by size and compressed files.
+const __rotatedFilesRegexp = (pattern) => {
+  const re = pattern.split(/(%[YmdH%])/).map((part) => {
+    switch (part) {
+      case '%Y':
+        return '\\d{4}';
+      case '%m':
+      case '%d':
+      case '%H':
+        return '\\d{2}';
+      case '%%':
+        return '%';
+      default:
+        return part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    }
+  }).join('');
+  return new RegExp(`^${re}(\\.\\d+)?(\\.gz)?$`);
+};
+
+/**
  * Logger specifically designed for logging to unix file descriptors.
  *
- * This logger is synchronous: It uses blocking syscalls and thus guarantees
+ * By default this logger is synchronous: It uses blocking syscalls and thus guarantees
  * that all data is written even if process.exit() is called immediately after
  * logging.
  * For normal files this is not a problem as linux will never block when writing
  * to files, for sockets, pipes and ttys this might block the process for a considerable
  * time.
  *
- * Formatter MUST produce strings. Default formatter is messageFormatTechnical.
+ * With `buffered`, records are collected in memory instead and written using
+ * asynchronous I/O once `bufferSize` bytes are buffered or `flushInterval` milliseconds
+ * have passed. `flush()` fulfills once all buffered records are written. Records still
+ * buffered when the process exits are written synchronously from an `exit` handler;
+ * this does not help if the process is killed by a signal.
+ *
+ * Formatter SHOULD produce strings. Default formatter is messageFormatTechnical.
+ * Anything else (e.g. the output of messageFormatJson) is serialized using JSON.stringify.
+ *
+ * `collapseDuplicates` works just like for StreamLogger; `close()` and `flushSync()`
+ * write any pending summary of repeated records as well.
+ *
+ * If `maxSize` is given, the log file is rotated once writing the next record
+ * would make it exceed that many bytes: `app.log` is renamed to `app.log.1`,
+ * `app.log.1` to `app.log.2` and so on; files beyond `maxFiles` are deleted.
+ * Rotation only ever happens between records, so a single record is never split
+ * across two files (a record that is larger than `maxSize` gets a file of its own).
+ *
+ * The file name may also contain the date placeholders `%Y` (year), `%m` (month),
+ * `%d` (day) and `%H` (hour); `%%` is a literal percent sign. These are expanded
+ * using the current UTC time and a new file is started whenever the expanded name
+ * changes, so `app-%Y-%m-%d.log` rotates daily and `app-%Y-%m-%d-%H.log` hourly.
+ *
+ * With `compress`, rotated files are gzipped in the background (`app.log.1.gz`);
+ * `flush()` waits for any compression still running. With `maxAge`, rotated files
+ * in the directory of the log file that have not been modified for that many
+ * milliseconds are deleted whenever the logger is created or rotates.
+ *
+ * When the file is rotated by an external tool like logrotate, call `reopen()`
+ * (or use `reopenFileLoggersOnSignal()` to reopen all file loggers on SIGHUP)
+ * so new records end up in the new file. Alternatively set `reopenCheckInterval`
+ * to have the logger detect that its file was moved, deleted or truncated
+ * and reopen it on its own.
+ *
+ * @example
+ * ```
+ * // Keep at most 10MB of logs: app.log plus four rotated files of 2MB each
+ * const logger = new FileLogger('app.log', { maxSize: 2 * 1024 * 1024, maxFiles: 4 });
+ *
+ * // One compressed file per day, kept for a week
+ * const daily = new FileLogger('logs/app-%Y-%m-%d.log', {
+ *   compress: true,
+ *   maxAge: 7 * 24 * 60 * 60 * 1000,
+ * });
+ * ```
  *
  * @class
  * @implements Logger
  * @param {string|Integer} name - The path of the file to log to
  *   OR the unix file descriptor to log to.
+ * @param {Object} [opts] – Optional, named parameters
+ * @param {Integer} [opts.maxSize] Rotate the file when it would grow beyond this
+ *   many bytes; rotation is disabled by default. Requires `name` to be a path.
+ * @param {Integer} [opts.maxFiles=5] How many rotated files to keep around.
+ * @param {Integer} [opts.maxAge] Delete rotated files older than this many milliseconds.
+ * @param {boolean} [opts.compress=false] Gzip rotated files.
+ * @param {Integer} [opts.reopenCheckInterval] Check (at most) every this many
+ *   milliseconds before writing a record whether the file was moved or truncated
+ *   and reopen it if so; 0 checks before every record. Disabled by default.
+ * @param {boolean} [opts.buffered=false] Buffer records and write them asynchronously.
+ * @param {Integer} [opts.bufferSize=65536] Write buffered records once this many bytes
+ *   are buffered.
+ * @param {Integer} [opts.flushInterval=1000] Write buffered records at the latest after
+ *   this many milliseconds.
+ * @param {boolean} [opts.collapseDuplicates=false] Replace consecutive duplicate
+ *   records with a summary.
+ * @param {Integer} [opts.collapseTimeout=30000] Write the summary of repeated records
+ *   at the latest after this many milliseconds.
  */
 export class FileLogger extends FormattedLoggerBase {
   /**
@@ -704,22 +1544,477 @@ export class FileLogger extends FormattedLoggerBase {
    * @member {Integer} fd
    */
 
-  constructor(name, opts = {}) {
+  /**
+   * The path of the file currently logged to; undefined if the logger was
+   * created from a file descriptor.
+   * @memberOf FileLogger#
+   * @member {string} path
+   */
+
+  /**
+   * The file name (possibly containing date placeholders) this logger
+   * was created with.
+   * @memberOf FileLogger#
+   * @member {string} pattern
+   */
+
+  /**
+   * Maximum size of the log file in bytes before it is rotated.
+   * @memberOf FileLogger#
+   * @member {Integer} maxSize
+   */
+
+  /**
+   * Number of rotated log files to keep.
+   * @memberOf FileLogger#
+   * @member {Integer} maxFiles
+   */
+
+  /**
+   * Rotated files older than this many milliseconds are deleted.
+   * @memberOf FileLogger#
+   * @member {Integer} maxAge
+   */
+
+  /**
+   * Whether rotated files are gzipped.
+   * @memberOf FileLogger#
+   * @member {boolean} compress
+   */
+
+  /**
+   * Minimum number of milliseconds between checks whether the file was
+   * moved or truncated; undefined disables the checks.
+   * @memberOf FileLogger#
+   * @member {Integer} reopenCheckInterval
+   */
+
+  /**
+   * Whether records are buffered and written asynchronously.
+   * @memberOf FileLogger#
+   * @member {boolean} buffered
+   */
+
+  /**
+   * In buffered mode: Number of bytes after which buffered records are written.
+   * @memberOf FileLogger#
+   * @member {Integer} bufferSize
+   */
+
+  /**
+   * In buffered mode: Number of milliseconds after which buffered records are written.
+   * @memberOf FileLogger#
+   * @member {Integer} flushInterval
+   */
+
+  constructor(name, {
+    maxSize,
+    maxFiles = 5,
+    maxAge,
+    compress = false,
+    reopenCheckInterval,
+    buffered = false,
+    bufferSize = 64 * 1024,
+    flushInterval = 1000,
+    collapseDuplicates = false,
+    collapseTimeout = 30000,
+    ...opts
+  } = {}) {
     super({ formatter: messageFormatTechnical, ...opts });
-    const fd = type(name) === Number ? name : openSync(name, 'a');
-    assign(this, { fd });
+    assign(this, {
+      maxSize,
+      maxFiles,
+      maxAge,
+      compress,
+      reopenCheckInterval,
+      buffered,
+      bufferSize,
+      flushInterval,
+      _pending: new Set(),
+      _compressing: new Set(),
+      _lastReopenCheck: 0,
+      _queue: [],
+      _queued: 0,
+    });
+    __assignHidden(this, {
+      _duplicates: collapseDuplicates ? new __DuplicateCollapser(this, collapseTimeout) : undefined,
+      _weakRef: new WeakRef(this),
+    });
+    if (type(name) === Number) {
+      if (isdef(maxSize) || isdef(maxAge) || compress || isdef(reopenCheckInterval)) {
+        throw new Error('FileLogger can only rotate or reopen files opened by path, not file descriptors.');
+      }
+      assign(this, { fd: name, size: 0 });
+    } else {
+      this.pattern = name;
+      this._open(__expandDatePattern(name, new Date(Date.now())));
+      this._cleanup();
+      __fileLoggers.add(this._weakRef);
+    }
+    if (buffered) {
+      if (__bufferedFileLoggers.size === 0) {
+        process.on('exit', __flushBufferedFileLoggers);
+      }
+      __bufferedFileLoggers.add(this);
+    }
   }
 
-  _logImpl(str) {
-    writeSync(this.fd, `${str}\n`);
+  _open(path) {
+    const fd = openSync(path, 'a');
+    assign(this, { path, fd, size: fstatSync(fd).size });
   }
 
-  /* istanbul ignore next */
+  _logImpl(payload, fields) {
+    if (this._duplicates && this._duplicates.isDuplicate(fields)) {
+      return;
+    }
+    const str = type(payload) === String ? payload : JSON.stringify(payload);
+    const buf = Buffer.from(`${str}\n`);
+    if (this.buffered) {
+      this._queue.push(buf);
+      this._queued += buf.length;
+      if (this._queued >= this.bufferSize) {
+        this._drain();
+      } else if (!this._timer && !this._writing) {
+        this._timer = setTimeout(() => this._drain(), this.flushInterval);
+        this._timer.unref();
+      }
+    } else {
+      this._beforeWrite(buf.length);
+      this._writeSync(buf);
+    }
+  }
+
+  // Rotate or reopen the file as necessary before writing len bytes
+  _beforeWrite(len) {
+    if (this._reopenRequested) {
+      this.reopen();
+    }
+    if (isdef(this.pattern)) {
+      const path = __expandDatePattern(this.pattern, new Date(Date.now()));
+      if (path !== this.path) {
+        this._rotateTo(path);
+      } else if (isdef(this.reopenCheckInterval)) {
+        this._checkReopen();
+      }
+    }
+    if (isdef(this.maxSize) && this.size > 0 && this.size + len > this.maxSize) {
+      this.rotate();
+    }
+  }
+
+  _writeSync(buf) {
+    // writeSync may perform partial writes; make sure the record is never split
+    for (let off = 0; off < buf.length;) {
+      off += writeSync(this.fd, buf, off);
+    }
+    this.size += buf.length;
+  }
+
+  // Take as many buffered records as fit into the current file (rotating it first
+  // if necessary); this way size based rotation still happens between records.
+  _takeBatch() {
+    const queue = this._queue;
+    this._beforeWrite(queue[0].length);
+    const room = isdef(this.maxSize) ? this.maxSize - this.size : Infinity;
+    let len = queue[0].length;
+    let cnt = 1;
+    while (cnt < queue.length && len + queue[cnt].length <= room) {
+      len += queue[cnt].length;
+      cnt += 1;
+    }
+    this._queued -= len;
+    return Buffer.concat(queue.splice(0, cnt), len);
+  }
+
+  // Write all buffered records in the background
+  _drain() {
+    clearTimeout(this._timer);
+    this._timer = undefined;
+    if (this._writing || this._queue.length === 0) {
+      return;
+    }
+    this._writing = true;
+    this._background(async () => {
+      try {
+        while (this._queue.length > 0) {
+          const buf = this._takeBatch();
+          for (let off = 0; off < buf.length;) {
+            // eslint-disable-next-line no-await-in-loop
+            off += await __write(this.fd, buf, off);
+          }
+          this.size += buf.length;
+        }
+      } catch (e) {
+        // Logging this error to ourselves would most likely fail again
+        console.error('Encountered exception while logging!', e);
+      } finally {
+        this._writing = false;
+        if (this._reopenRequested) {
+          this.reopen();
+        }
+      }
+    });
+  }
+
+  /**
+   * In buffered mode: Synchronously write all buffered records.
+   *
+   * This is done automatically when the process exits.
+   *
+   * @memberOf FileLogger#
+   * @method
+   */
+  flushSync() {
+    if (this._duplicates) {
+      this._duplicates.flush();
+    }
+    clearTimeout(this._timer);
+    this._timer = undefined;
+    while (this._queue.length > 0) {
+      this._writeSync(this._takeBatch());
+    }
+  }
+
+  // Reopen the file if it was moved, deleted or truncated by someone else
+  _checkReopen() {
+    const now = Date.now();
+    if (now - this._lastReopenCheck < this.reopenCheckInterval) {
+      return;
+    }
+    this._lastReopenCheck = now;
+    const onDisk = statSync(this.path, { throwIfNoEntry: false });
+    const open = fstatSync(this.fd);
+    if (!onDisk || onDisk.ino !== open.ino || onDisk.dev !== open.dev || open.size < this.size) {
+      this.reopen();
+    }
+  }
+
+  /**
+   * Close and reopen the log file by name.
+   *
+   * Use this after an external tool (like logrotate) moved the file, otherwise
+   * the logger keeps writing to the moved file.
+   *
+   * @memberOf FileLogger#
+   * @method
+   * @throws {Error} If the logger was created from a file descriptor.
+   */
+  reopen() {
+    if (!isdef(this.pattern)) {
+      throw new Error(`Cannot reopen FileLogger writing to file descriptor ${this.fd}: `
+        + 'Only loggers created from a path can be reopened.');
+    }
+    // Closing the file while it is being written to would lose records
+    if (this._writing) {
+      this._reopenRequested = true;
+      return;
+    }
+    this._reopenRequested = false;
+    // Open the new file first, so we keep logging to the old one if this fails
+    const { fd } = this;
+    this._open(this.path);
+    closeSync(fd);
+  }
+
+  // Start writing to a new date stamped file
+  _rotateTo(path) {
+    const prev = this.path;
+    closeSync(this.fd);
+    this._open(path);
+    if (this.compress) {
+      this._compress(prev);
+    }
+    this._cleanup();
+  }
+
+  /**
+   * Rotate the log file now: Closes the current file, shifts all rotated
+   * files by one (deleting the oldest) and opens a new, empty file.
+   *
+   * @memberOf FileLogger#
+   * @method
+   * @throws {Error} If the logger was created from a file descriptor.
+   */
+  rotate() {
+    if (!isdef(this.pattern)) {
+      throw new Error(`Cannot rotate FileLogger writing to file descriptor ${this.fd}: `
+        + 'Only loggers created from a path can be rotated.');
+    }
+    const { path, maxFiles } = this;
+    closeSync(this.fd);
+
+    const oldest = `${path}.${maxFiles}`;
+    for (const file of [oldest, `${oldest}.gz`]) {
+      if (existsSync(file)) {
+        unlinkSync(file);
+      }
+    }
+    this._compressing.forEach((job) => {
+      if (job.src === oldest) {
+        job.src = undefined;
+      }
+    });
+
+    for (let idx = maxFiles; idx > 0; idx -= 1) {
+      const src = idx === 1 ? path : `${path}.${idx - 1}`;
+      const dst = `${path}.${idx}`;
+      for (const ext of ['', '.gz']) {
+        if (existsSync(`${src}${ext}`)) {
+          renameSync(`${src}${ext}`, `${dst}${ext}`);
+        }
+      }
+      // Compression jobs keep writing through their open file descriptors
+      this._compressing.forEach((job) => {
+        if (job.src === src) {
+          job.src = dst;
+        }
+      });
+    }
+
+    if (maxFiles <= 0) {
+      unlinkSync(path);
+    }
+    this._open(path);
+    if (this.compress && maxFiles > 0) {
+      this._compress(`${path}.1`);
+    }
+    this._cleanup();
+  }
+
+  // Gzip the given file in the background; the files are opened synchronously,
+  // so rotations happening in the meantime can safely rename them.
+  _compress(src) {
+    const job = { src };
+    const input = createReadStream(src, { fd: openSync(src, 'r') });
+    const output = createWriteStream(`${src}.gz`, { fd: openSync(`${src}.gz`, 'w') });
+    this._compressing.add(job);
+    this._background(async () => {
+      try {
+        await pipeline(input, createGzip(), output);
+        if (isdef(job.src)) {
+          unlinkSync(job.src);
+        }
+      } finally {
+        this._compressing.delete(job);
+      }
+    });
+  }
+
+  // Delete rotated files older than maxAge
+  _cleanup() {
+    if (!isdef(this.maxAge)) {
+      return;
+    }
+    const dir = dirname(this.path);
+    const current = basename(this.path);
+    const re = __rotatedFilesRegexp(basename(this.pattern));
+    const cutoff = Date.now() - this.maxAge;
+    this._background(async () => {
+      for (const file of await readdir(dir)) {
+        if (file !== current && re.test(file)) {
+          const full = join(dir, file);
+          // eslint-disable-next-line no-await-in-loop
+          const stats = await stat(full).catch(() => undefined);
+          if (stats && stats.mtimeMs < cutoff) {
+            // eslint-disable-next-line no-await-in-loop
+            await rm(full, { force: true });
+          }
+        }
+      }
+    });
+  }
+
+  _background(fn) {
+    const task = __handleLoggingExceptions({}, this, fn)
+      .finally(() => this._pending.delete(task));
+    this._pending.add(task);
+  }
+
+  /**
+   * Write all buffered records and wait for all background work
+   * (writes, compression & deletion of rotated files).
+   *
+   * @memberOf FileLogger#
+   * @method
+   */
+  async flush() {
+    // Start writing right away so records logged before flush() end up in
+    // the current file even if it is reopened while waiting
+    const filterFlushed = super.flush();
+    if (this._duplicates) {
+      this._duplicates.flush();
+    }
+    this._drain();
+    await filterFlushed;
+    this._drain();
+    while (this._pending.size > 0) {
+      // eslint-disable-next-line no-await-in-loop
+      await Promise.all(this._pending);
+    }
+  }
+
+  /**
+   * Write all buffered records and close the file.
+   *
+   * In buffered mode, `await flush()` before closing to avoid closing the
+   * file while it is being written to.
+   *
+   * @memberOf FileLogger#
+   * @method
+   */
   close() {
+    this.flushSync();
+    __fileLoggers.delete(this._weakRef);
+    __bufferedFileLoggers.delete(this);
+    if (__bufferedFileLoggers.size === 0) {
+      process.off('exit', __flushBufferedFileLoggers);
+    }
     closeSync(this.fd);
   }
 }
 
+/**
+ * Reopen all FileLoggers created from a path that have not been closed yet.
+ * Only weak references to the loggers are kept, so loggers that are not
+ * used any more are garbage collected even if they were never closed.
+ *
+ * Errors are reported through the respective logger instead of thrown.
+ *
+ * @function
+ */
+export const reopenFileLoggers = () => {
+  __fileLoggers.forEach((ref) => {
+    const logger = ref.deref();
+    if (logger === undefined) {
+      __fileLoggers.delete(ref);
+    } else {
+      __handleLoggingExceptions({}, logger, () => logger.reopen());
+    }
+  });
+};
+
+/**
+ * Reopen all FileLoggers whenever the process receives the given signal.
+ *
+ * This is opt-in because installing a signal handler disables the default
+ * behaviour of the signal (SIGHUP terminates the process otherwise).
+ *
+ * @example
+ * ```
+ * // logrotate config: postrotate kill -HUP <pid> endscript
+ * const uninstall = reopenFileLoggersOnSignal();
+ * ```
+ *
+ * @function
+ * @param {string} [signal='SIGHUP'] The signal to listen for.
+ * @returns {Function} Removes the signal handler again.
+ */
+export const reopenFileLoggersOnSignal = (signal = 'SIGHUP') => {
+  process.on(signal, reopenFileLoggers);
+  return () => process.off(signal, reopenFileLoggers);
+};
+
 /**
  * Logs messages to an in-memory buffer.
  *
@@ -783,7 +2078,8 @@ export class MemLogger extends FormattedLoggerBase {
  * LoggingInterfaces SHOULD provide a named constructor option 'filter' and associated field
  * that can be used to transform messages arbitrarily. This option should default to
  * the `identity()` function. If the filter returns `undefined`
- * the message MUST be discarded.
+ * the message MUST be discarded. The same conventions regarding `this` and `flush()`
+ * as for Loggers apply.
  *
  * LoggingInterfaces SHOULD provide a named constructor option 'defaultFields'; if they do support
  * the property they MUST perform a shallow merge/setdefault into the message AFTER applying the
@@ -792,6 +2088,46 @@ export class MemLogger extends FormattedLoggerBase {
  * @interface LoggingInterface
  */
 
+const __logContext = new AsyncLocalStorage();
+
+/**
+ * Run a function with additional fields that are added to every message
+ * logged through a logging interface (e.g. SimpleInterface) while the function
+ * runs, including any asynchronous work it starts.
+ *
+ * Scopes can be nested; the fields of inner scopes are merged into those of
+ * outer scopes (and take precedence).
+ *
+ * Context fields take precedence over the `defaultFields` of the interface;
+ * fields given explicitly when logging take precedence over context fields.
+ *
+ * @example
+ * ```
+ * const log = new SimpleInterface();
+ * server.on('request', (req, res) => withLogContext({ requestId: req.id }, async () => {
+ *   log.info('Handling request'); // => { requestId: ..., message: ['Handling request'], ...}
+ *   await handle(req, res);
+ * }));
+ * ```
+ *
+ * @function
+ * @param {Object} fields The fields to add to every message
+ * @param {Function} fn The function to run
+ * @returns {*} Whatever fn returns
+ */
+export const withLogContext = (fields, fn) => {
+  const context = { ...__logContext.getStore(), ...fields };
+  return __logContext.run(context, fn);
+};
+
+/**
+ * The context fields (see `withLogContext()`) of the current scope.
+ *
+ * @function
+ * @returns {Object} A copy of the context fields; empty outside any context.
+ */
+export const getLogContext = () => ({ ...__logContext.getStore() });
+
 /**
  * Can be used as a base class/helper for implementing logging interfaces.
  *
@@ -800,8 +2136,13 @@ export class MemLogger extends FormattedLoggerBase {
  * too low or if the filter returned undefined and will then forward
  * the message to the logger configured.
  *
- * This also wraps the entire logging logic into a promise enabled/async
- * error handler that will log any errors using the rootLogger.
+ * This also wraps the entire logging logic into an error handler that
+ * will log any errors using the rootLogger; just like loggers deriving from
+ * LoggerBase, everything happens synchronously unless the logger needs to
+ * do asynchronous work.
+ *
+ * Fields of the current log context (see `withLogContext()`) are added to
+ * every message, overriding `defaultFields`.
  *
  * @example
  * ```
@@ -828,23 +2169,49 @@ export class InterfaceBase {
   constructor({
     logger, level = 'silly', filter = identity, defaultFields = {}, ...unknown
   } = {}) {
-    assign(this, {
-      logger, level, filter, defaultFields,
-    });
+    __trackedProperty(this, 'logger', logger);
+    __trackedProperty(this, 'level', level);
+    __trackedProperty(this, 'filter', filter);
+    assign(this, { defaultFields });
     if (!empty(unknown)) {
       throw new Error(`Unknown named options given to ${typename(type(this))}: ${tryInspect(unknown)}`);
     }
   }
 
+  /**
+   * Whether messages of the given level would be written anywhere; takes
+   * into account the level of this interface, the logger it forwards to and
+   * (for MultiLoggers) the loggers that one forwards to. Filters may change
+   * the level of messages, so with a filter on the way every level is enabled.
+   *
+   * The result is cached until any of these levels, filters or loggers change.
+   *
+   * @memberOf InterfaceBase#
+   * @method
+   * @param {string} level The log level
+   * @returns {boolean}
+   */
+  isLevelEnabled(level) {
+    return __cachedLevelEnabled(this, level);
+  }
+
+  _isLevelEnabled(level) {
+    return (numericLogLevel(level) <= numericLogLevel(this.level)
+      && __levelEnabledFor(this.logger, level)) || this.filter !== identity;
+  }
+
   async flush() {
+    await __flushFilter(this);
     return this.logger.flush();
   }
 
   _logImpl(fields_) {
-    __handleLoggingExceptions(fields_, this.logger, async () => {
-      const fields = this.filter({ ...this.defaultFields, ...makeLogMessage(fields_) });
+    __handleLoggingExceptions(fields_, this.logger, () => {
+      const fields = this.filter({
+        ...this.defaultFields, ...__logContext.getStore(), ...makeLogMessage(fields_),
+      });
       if (fields !== undefined && numericLogLevel(fields.level) <= numericLogLevel(this.level)) {
-        await this.logger.log(fields);
+        return this.logger.log(fields);
       }
     });
   }
@@ -866,18 +2233,46 @@ export class InterfaceBase {
  * log.error("Nooez without custom fields");
  * ```
  *
+ * Methods for custom log levels are added by `registerLogLevel()`.
+ *
+ * With `formatStrings`, a first argument containing format specifiers is
+ * interpolated like `console.log()` does (`log.info('Took %dms', 42)`); the
+ * format string is kept in the `messageTemplate` field.
+ *
  * @class
  * @implements LoggingInterface
+ * @param {Object} [opts] – Optional, named parameters; see InterfaceBase.
+ * @param {boolean} [opts.formatStrings=false] Support printf-style format strings.
  */
 export class SimpleInterface extends /* private */ InterfaceBase {
+  /**
+   * Whether printf-style format strings are supported.
+   * @memberOf SimpleInterface#
+   * @member {boolean} formatStrings
+   */
+
+  constructor({ formatStrings = false, ...opts } = {}) {
+    super(opts);
+    assign(this, { formatStrings });
+  }
+
   _logImpl(level, ...msg) {
+    // Shortcut for disabled levels, unless the fields may change the level
+    const last = msg[msg.length - 1];
+    if (!(type(last) === Object && 'level' in last) && !this.isLevelEnabled(level)) {
+      return;
+    }
     const fields = msg.pop();
     /* istanbul ignore next */
     if (type(fields) !== Object) {
       throw new Error('Data given as the last argument the helix-log '
         + `SimpleInterface must be a plain Object, not a ${typename(type(fields))}.`);
     }
-    super._logImpl({ message: msg, level, ...fields });
+    const template = this.formatStrings && type(msg[0]) === String
+      && msg[0].search(__formatSpecifier) !== -1 ? { messageTemplate: msg[0] } : {};
+    super._logImpl({
+      message: msg, level, ...template, ...fields,
+    });
   }
 
   /**
@@ -940,8 +2335,9 @@ export class SimpleInterface extends /* private */ InterfaceBase {
    * These methods are used to log just a message with no custom
    * fields to the underlying logger; similar to console.log.
    *
-   * This is not a drop in replacement for console.log, since this
-   * does not support string interpolation using `%O/%f/...`, but should
+   * This is not a drop in replacement for console.log, since arguments
+   * are not separated by spaces and string interpolation using `%O/%f/...`
+   * is only supported with the `formatStrings` option, but should
    * cover most use cases.
    *
    * @memberOf SimpleInterface#
@@ -970,6 +2366,13 @@ export class SimpleInterface extends /* private */ InterfaceBase {
   fatal(...msg) { this._logImpl('fatal', ...msg, {}); }
 }
 
+const __envFormats = {
+  console: messageFormatConsole,
+  simple: messageFormatSimple,
+  technical: messageFormatTechnical,
+  json: messageFormatJsonString,
+};
+
 /**
  * Creates a MultiLogger with a default console logger attached to it.
  *
@@ -987,10 +2390,68 @@ export class SimpleInterface extends /* private */ InterfaceBase {
  * wrapper functions `log, fatal, err, warn, info, verbose, debug`; they
  * perform some additional
  *
+ * The logger can be configured using these environment variables:
+ *
+ * - `HELIX_LOG_LEVEL`: The log level; defaults to `info`.
+ * - `HELIX_LOG_FORMAT`: One of `console` (default), `simple`, `technical` or `json`.
+ * - `HELIX_LOG_FILE`: Also log to this file (as logger named 'file'); uses the
+ *   `technical` format unless another format than `console` is given.
+ * - `HELIX_LOG_DEFAULT_FIELDS`: A JSON object with fields to add to every message.
+ *
+ * @example
+ * ```
+ * // HELIX_LOG_LEVEL=debug HELIX_LOG_FORMAT=json HELIX_LOG_DEFAULT_FIELDS='{"app":"pipeline"}'
+ * const rootLogger = createDefaultLogger();
+ *
+ * // In tests
+ * const logger = createDefaultLogger({ env: { HELIX_LOG_LEVEL: 'debug' } });
+ * ```
+ *
  * @const
+ * @throws {Error} If any of the environment variables has an invalid value.
+ * @param {Object} [opts] – Optional, named parameters
+ * @param {Object} [opts.env=process.env] The environment to read the configuration from.
+ * @returns {MultiLogger}
  */
-export function createDefaultLogger() {
-  return new MultiLogger({
-    default: new ConsoleLogger({ level: 'info' }),
-  });
+export function createDefaultLogger({ env = process.env } = {}) {
+  const {
+    HELIX_LOG_LEVEL: level = 'info',
+    HELIX_LOG_FORMAT: format = 'console',
+    HELIX_LOG_FILE: file,
+    HELIX_LOG_DEFAULT_FIELDS: fieldsJson,
+  } = Object.fromEntries(Object.entries(env).filter(([_, v]) => v !== ''));
+
+  if (!Object.hasOwn(__loglevelMap, level)) {
+    throw new Error(`Invalid HELIX_LOG_LEVEL "${level}"; `
+      + `must be one of ${Object.keys(__loglevelMap).join(', ')}.`);
+  }
+  if (!Object.hasOwn(__envFormats, format)) {
+    throw new Error(`Invalid HELIX_LOG_FORMAT "${format}"; `
+      + `must be one of ${Object.keys(__envFormats).join(', ')}.`);
+  }
+
+  let defaultFields = {};
+  if (isdef(fieldsJson)) {
+    try {
+      defaultFields = JSON.parse(fieldsJson);
+    } catch (e) {
+      throw new Error(`Invalid HELIX_LOG_DEFAULT_FIELDS: ${e.message}`);
+    }
+    if (type(defaultFields) !== Object) {
+      throw new Error('Invalid HELIX_LOG_DEFAULT_FIELDS: must be a JSON object, '
+        + `not ${typename(type(defaultFields))}.`);
+    }
+  }
+
+  const formatter = __envFormats[format];
+  const loggers = {
+    default: new ConsoleLogger({ level, formatter }),
+  };
+  if (isdef(file)) {
+    loggers.file = new FileLogger(file, {
+      level,
+      formatter: format === 'console' ? messageFormatTechnical : formatter,
+    });
+  }
+  return new MultiLogger(loggers, { defaultFields });
 }
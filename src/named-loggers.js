@@ -0,0 +1,168 @@
+/*
+ * Copyright 2026 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+/* eslint-disable no-underscore-dangle */
+import { deriveLogger, numericLogLevel, tryInspect } from './log.js';
+import { empty, type } from './util.js';
+
+const { assign } = Object;
+
+// Normalize `helix.*`/`helix:*` to `helix` and a lone `*` to the root namespace ('')
+const __normalizeNamespace = (ns) => ns.trim().replace(/(^|[.:])\*$/, '').replace(/:/g, '.');
+
+/**
+ * Parse a namespace log level specification like
+ * `helix.pipeline=debug,helix.pipeline.fetch=warn` into an object
+ * mapping namespaces to levels.
+ *
+ * `helix.*` is treated the same as `helix`; `*` sets the level of the
+ * root namespace (applies to all loggers without a more specific level).
+ *
+ * @function
+ * @throws {Error} If the specification is malformed or contains an invalid log level.
+ * @param {string} spec The specification to parse
+ * @returns {Object<string, string>} Namespaces mapped to levels
+ */
+export const parseNamespaceLevels = (spec) => Object.fromEntries(
+  spec.split(',')
+    .filter((entry) => entry.trim() !== '')
+    .map((entry) => {
+      const parts = entry.split('=');
+      if (parts.length !== 2 || parts[0].trim() === '') {
+        throw new Error(`Invalid namespace log level "${entry}"; expected "namespace=level".`);
+      }
+      const level = parts[1].trim();
+      numericLogLevel(level);
+      return [__normalizeNamespace(parts[0]), level];
+    }),
+);
+
+/**
+ * Creates loggers by dotted name (e.g. `helix.pipeline.fetch`) and
+ * manages their levels per namespace.
+ *
+ * Each named logger is derived from the given base interface using `deriveLogger`;
+ * it adds a `logger` field containing its name to every message. Its level is the
+ * level configured for the most specific namespace containing the name; so with
+ * `helix.pipeline=debug` the loggers `helix.pipeline` and `helix.pipeline.fetch`
+ * both use debug, while `helix.other` uses the level of `helix` or, if that is not
+ * configured either, the level of the base interface.
+ *
+ * Levels can be given as an object or string (see `parseNamespaceLevels()`) and
+ * are read from the `HELIX_LOG_NAMESPACES` environment variable; levels from the
+ * environment take precedence.
+ *
+ * Note that the loggers the base interface forwards to still apply their own
+ * levels; e.g. the default console logger drops anything below info.
+ *
+ * @example
+ * ```
+ * // HELIX_LOG_NAMESPACES=helix.pipeline=debug,helix.pipeline.fetch=warn
+ * const loggers = new NamedLoggers(new SimpleInterface({ logger: rootLogger }));
+ * const log = loggers.get('helix.pipeline.render');
+ * log.debug('Rendering'); // => { level: 'debug', logger: 'helix.pipeline.render', ... }
+ *
+ * loggers.setLevel('helix.pipeline.render', 'info');
+ * ```
+ *
+ * @class
+ * @param {InterfaceBase} base The interface named loggers are derived from.
+ * @param {Object} [opts] – Optional, named parameters
+ * @param {Object|string} [opts.levels={}] Namespaces mapped to levels.
+ * @param {Object} [opts.env=process.env] Environment to read `HELIX_LOG_NAMESPACES` from.
+ */
+export class NamedLoggers {
+  /**
+   * The interface named loggers are derived from.
+   * @memberOf NamedLoggers#
+   * @member {InterfaceBase} base
+   */
+
+  /**
+   * Namespaces mapped to log levels (without prototype); use setLevel() to modify.
+   * @memberOf NamedLoggers#
+   * @member {Object<string, string>} levels
+   */
+
+  constructor(base, { levels = {}, env = process.env, ...unknown } = {}) {
+    if (!empty(unknown)) {
+      throw new Error(`Unknown named options given to NamedLoggers: ${tryInspect(unknown)}`);
+    }
+    const toObj = (l) => (type(l) === String ? parseNamespaceLevels(l) : l);
+    assign(this, {
+      base,
+      levels: Object.create(null),
+      _loggers: new Map(),
+    });
+    const all = { ...toObj(levels), ...toObj(env.HELIX_LOG_NAMESPACES || '') };
+    Object.entries(all).forEach(([ns, level]) => this.setLevel(ns, level));
+  }
+
+  /**
+   * The level used by a logger with the given name.
+   *
+   * @memberOf NamedLoggers#
+   * @method
+   * @param {string} name Dotted logger name
+   * @returns {string}
+   */
+  levelFor(name) {
+    for (let ns = name; ; ns = ns.slice(0, Math.max(ns.lastIndexOf('.'), 0))) {
+      if (Object.hasOwn(this.levels, ns)) {
+        return this.levels[ns];
+      }
+      if (ns === '') {
+        return this.base.level;
+      }
+    }
+  }
+
+  /**
+   * Get the logger with the given dotted name; repeated calls return the same logger.
+   *
+   * @memberOf NamedLoggers#
+   * @method
+   * @param {string} name Dotted logger name
+   * @returns {InterfaceBase}
+   */
+  get(name) {
+    if (!this._loggers.has(name)) {
+      this._loggers.set(name, deriveLogger(this.base, {
+        level: this.levelFor(name),
+        defaultFields: { logger: name },
+      }));
+    }
+    return this._loggers.get(name);
+  }
+
+  /**
+   * Set the level of a namespace (and all namespaces below it without
+   * a level of their own). Loggers already created are updated.
+   *
+   * @memberOf NamedLoggers#
+   * @method
+   * @throws {Error} If the level is invalid.
+   * @param {string} namespace The namespace
+   * @param {string|undefined} level The new level; undefined to inherit the parent's level.
+   */
+  setLevel(namespace, level) {
+    const ns = __normalizeNamespace(namespace);
+    if (level === undefined) {
+      delete this.levels[ns];
+    } else {
+      numericLogLevel(level);
+      this.levels[ns] = level;
+    }
+    this._loggers.forEach((logger, name) => {
+      logger.level = this.levelFor(name);
+    });
+  }
+}
@@ -0,0 +1,175 @@
+/*
+ * Copyright 2026 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+/* eslint-disable no-underscore-dangle */
+import {
+  InterfaceBase, makeLogMessage, numericLogLevel, tryInspect,
+} from './log.js';
+import { isdef, type } from './util.js';
+
+// Summary messages emitted by rate limit filters; these are never rate limited
+const __summaries = new WeakSet();
+
+// Without a template, the first message component is the closest thing to one
+const __messageKey = ({ message, messageTemplate }) => {
+  if (isdef(messageTemplate)) {
+    return messageTemplate;
+  }
+  return type(message) === Array && type(message[0]) === String ? message[0] : tryInspect(message);
+};
+
+const __keyFunction = (key) => {
+  if (type(key) === Function) {
+    return key;
+  } else if (key === 'message') {
+    return __messageKey;
+  }
+  return (fields) => fields[key];
+};
+
+/**
+ * Creates a filter that limits how many similar messages are logged.
+ *
+ * Similar messages are those with the same key; by default the key is the
+ * `messageTemplate` or, lacking that, the first part of the message if that is
+ * a string (so `log.error('Fetch failed: ', url)` is limited regardless of the url).
+ * Any other field name (e.g. `level`) or a function computing the key from the
+ * message can be given instead.
+ *
+ * For each key a token bucket is maintained: Up to `burst` messages are passed
+ * right away, after that `rate` messages per `interval` milliseconds. Messages
+ * exceeding the limit are dropped; `summaryInterval` milliseconds after the first
+ * message was dropped a summary like "Suppressed 4312 similar messages in the last 60s"
+ * is logged with the most severe level of the dropped messages and the fields
+ * `suppressed` (the number of dropped messages) and `rateLimitKey`.
+ *
+ * The returned function can be used as the `filter` of any logger or logging
+ * interface. Summaries are sent to the logger using the filter (for interfaces:
+ * the logger the interface forwards to) unless `logger` is given. When the filter
+ * is called as a plain function (e.g. from another filter), `logger` is needed;
+ * otherwise summaries are only printed using `console.error()`.
+ * Calling `flush()` on the logger or interface (or the filter) emits pending
+ * summaries right away.
+ *
+ * @example
+ * ```
+ * const log = new SimpleInterface({
+ *   filter: createRateLimitFilter({ rate: 5, interval: 1000 }),
+ * });
+ * ```
+ *
+ * @function
+ * @param {Object} [opts] – Optional, named parameters
+ * @param {number} [opts.rate=10] Number of messages per interval to let through.
+ * @param {number} [opts.interval=1000] Length of the interval in milliseconds.
+ * @param {number} [opts.burst=rate] Number of messages that may be let through at once.
+ * @param {string|Function} [opts.key='message'] What determines which messages are similar.
+ * @param {number} [opts.summaryInterval=60000] How long to collect dropped messages
+ *   before logging a summary.
+ * @param {Logger} [opts.logger] Where to log the summaries to.
+ * @param {number} [opts.maxKeys=10000] Number of keys after which idle buckets are
+ *   discarded to limit memory usage.
+ * @returns {Function} The filter
+ */
+export const createRateLimitFilter = ({
+  rate = 10,
+  interval = 1000,
+  burst = rate,
+  key = 'message',
+  summaryInterval = 60000,
+  logger,
+  maxKeys = 10000,
+} = {}) => {
+  const keyOf = __keyFunction(key);
+  const buckets = new Map();
+  let timer;
+
+  const refill = (bucket, now) => {
+    bucket.tokens = Math.min(burst, bucket.tokens + ((now - bucket.last) * rate) / interval);
+    bucket.last = now;
+  };
+
+  const emitSummaries = () => {
+    clearTimeout(timer);
+    timer = undefined;
+    const now = Date.now();
+    buckets.forEach((bucket, bucketKey) => {
+      if (bucket.suppressed === 0) {
+        return;
+      }
+      const { suppressed, since, level } = bucket;
+      bucket.suppressed = 0;
+      const summary = makeLogMessage({
+        level,
+        message: [`Suppressed ${suppressed} similar messages in the last ${Math.round((now - since) / 1000)}s`],
+        suppressed,
+        rateLimitKey: bucketKey,
+      });
+      __summaries.add(summary);
+      const owner = bucket.owner instanceof InterfaceBase ? bucket.owner.logger : bucket.owner;
+      const target = logger || owner;
+      if (isdef(target)) {
+        target.log(summary);
+      } else {
+        // Called as a plain function (e.g. combined with other filters)
+        // eslint-disable-next-line no-console
+        console.error(`${summary.message[0]} (rate limit filter without logger for summaries)`);
+      }
+    });
+  };
+
+  const pruneIdle = (now) => {
+    buckets.forEach((bucket, bucketKey) => {
+      refill(bucket, now);
+      if (bucket.suppressed === 0 && bucket.tokens >= burst) {
+        buckets.delete(bucketKey);
+      }
+    });
+  };
+
+  function rateLimitFilter(fields) {
+    if (__summaries.has(fields)) {
+      return fields;
+    }
+
+    const now = Date.now();
+    const bucketKey = keyOf(fields);
+    if (!buckets.has(bucketKey)) {
+      if (buckets.size >= maxKeys) {
+        pruneIdle(now);
+      }
+      buckets.set(bucketKey, { tokens: burst, last: now, suppressed: 0 });
+    }
+
+    const bucket = buckets.get(bucketKey);
+    refill(bucket, now);
+    if (bucket.tokens >= 1) {
+      bucket.tokens -= 1;
+      return fields;
+    }
+
+    if (bucket.suppressed === 0) {
+      Object.assign(bucket, { since: now, level: fields.level });
+    } else if (numericLogLevel(fields.level) < numericLogLevel(bucket.level)) {
+      bucket.level = fields.level;
+    }
+    bucket.suppressed += 1;
+    bucket.owner = isdef(this) && type(this.log) === Function ? this : undefined;
+    if (!timer) {
+      timer = setTimeout(emitSummaries, summaryInterval);
+      timer.unref();
+    }
+    return undefined;
+  }
+
+  rateLimitFilter.flush = emitSummaries;
+  return rateLimitFilter;
+};
@@ -0,0 +1,84 @@
+/*
+ * Copyright 2026 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+/* eslint-disable no-underscore-dangle */
+import { numericLogLevel, tryInspect } from './log.js';
+import { isdef, type } from './util.js';
+
+// FNV-1a; maps a string to a number in [0, 1)
+const __hashFraction = (str) => {
+  let h = 0x811c9dc5;
+  for (let idx = 0; idx < str.length; idx += 1) {
+    // eslint-disable-next-line no-bitwise
+    h = Math.imul(h ^ str.charCodeAt(idx), 0x01000193) >>> 0;
+  }
+  return h / 0x100000000;
+};
+
+/**
+ * Creates a filter that only keeps a fraction of the messages of each level.
+ *
+ * The returned function can be used as the `filter` of any logger or
+ * logging interface.
+ *
+ * By default messages are sampled randomly. If `key` is given, messages with
+ * that field are sampled consistently: Whether a message is kept only depends
+ * on the field's value, so e.g. all messages of a request are either kept or
+ * dropped. Since the same value is used for every level, a request kept at
+ * a lower rate is also kept at all higher rates.
+ *
+ * Kept messages of sampled levels (rate below 1) get a `sampleRate` field,
+ * so counts can be extrapolated later (`count / sampleRate`).
+ *
+ * @example
+ * ```
+ * const logger = new ConsoleLogger({
+ *   level: 'debug',
+ *   filter: createSamplingFilter({
+ *     rates: { debug: 0.01, verbose: 0.1, info: 0.5 },
+ *     key: 'requestId',
+ *   }),
+ * });
+ * ```
+ *
+ * @function
+ * @throws {Error} If any level or rate is invalid.
+ * @param {Object} [opts] – Optional, named parameters
+ * @param {Object<string, number>} [opts.rates={}] Levels mapped to the fraction
+ *   (between 0 and 1) of messages to keep.
+ * @param {number} [opts.defaultRate=1] Rate for all levels not given in `rates`.
+ * @param {string} [opts.key] Field to use for consistent sampling.
+ * @param {Function} [opts.random=Math.random] Source of random numbers in [0, 1).
+ * @returns {Function} The filter
+ */
+export const createSamplingFilter = ({
+  rates = {}, defaultRate = 1, key, random = Math.random,
+} = {}) => {
+  const checkRate = (rate) => {
+    if (type(rate) !== Number || !(rate >= 0 && rate <= 1)) {
+      throw new Error(`Sample rate must be a number between 0 and 1, not ${tryInspect(rate)}`);
+    }
+  };
+  checkRate(defaultRate);
+  Object.entries(rates).forEach(([level, rate]) => {
+    numericLogLevel(level);
+    checkRate(rate);
+  });
+
+  return (fields) => {
+    const rate = fields.level in rates ? rates[fields.level] : defaultRate;
+    if (rate >= 1) {
+      return fields;
+    }
+    const val = isdef(key) && isdef(fields[key]) ? __hashFraction(String(fields[key])) : random();
+    return val < rate ? { ...fields, sampleRate: rate } : undefined;
+  };
+};
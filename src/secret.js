@@ -9,8 +9,44 @@
  * OF ANY KIND, either express or implied. See the License for the specific language
  * governing permissions and limitations under the License.
  */
+/* eslint-disable no-underscore-dangle, no-use-before-define */
+import { createHash, randomBytes } from 'node:crypto';
 import { inspect } from 'node:util';
-import { type } from './util.js';
+import { JsonifyForLog } from './serialize-json.js';
+import {
+  compilePath, isdef, pathMatches, type,
+} from './util.js';
+
+const { assign } = Object;
+
+// Used when fingerprints are requested without a salt; stable for the process only
+const __defaultSalt = randomBytes(16).toString('hex');
+
+// Secret => { value, salt, expiresAt, readOnce, consumed, disposed }
+const __states = new WeakMap();
+
+const __rawValue = (secret) => {
+  const { value } = __states.get(secret);
+  return type(value) === Secret ? __rawValue(value) : value;
+};
+
+const __checkReadable = (secret) => {
+  const { expiresAt, consumed, disposed } = __states.get(secret);
+  if (disposed) {
+    throw new Error('Secret has been disposed.');
+  } else if (consumed) {
+    throw new Error('Secret can only be read once.');
+  } else if (isdef(expiresAt) && Date.now() >= expiresAt) {
+    throw new Error(`Secret expired at ${new Date(expiresAt).toISOString()}.`);
+  }
+};
+
+const __fingerprintData = (value) => {
+  if (type(value) === String || Buffer.isBuffer(value)) {
+    return value;
+  }
+  return JSON.stringify(value) || String(value);
+};
 
 /**
  * Special wrapper that should be used to protect secret values.
@@ -27,7 +63,20 @@ import { type } from './util.js';
  * The secret can only be accessed through the .secret property
  * in order to make sure that the access is not accidental;
  * the secret property cannot be iterated over and the secret will
- * not be leaked when converted to json or when printed.
+ * not be leaked when converted to json (including `jsonifyForLog`)
+ * or when printed.
+ *
+ * With the `fingerprint` option, the marker includes the first 8 hex
+ * characters of a salted SHA-256 of the value (e.g. `[Hidden Secret 1f0c9a3e]`),
+ * so log lines can be checked for using the same credential without
+ * revealing it. Without an explicit `salt`, a random salt is used, so
+ * fingerprints can only be compared within one process.
+ *
+ * Secrets can be limited to a lifetime (`ttl` or `expiresAt`) or to being read
+ * once (`readOnce`); reading `.secret` after that throws. `dispose()` ends the
+ * lifetime explicitly; if the value is a Buffer, it is zeroed too, so the secret
+ * does not linger in memory. Assigning a new value to `.secret` makes a read once
+ * or disposed secret readable again; the expiry date stays the same.
  *
  * @example
  * ```
@@ -39,36 +88,182 @@ import { type } from './util.js';
  * > `${mySecret}`
  * '[Hidden Secret]'
  * > JSON.stringify(mySecret)
- * '{}'
+ * '"[Hidden Secret]"'
  * > Object.keys(mySecret)
  * []
+ * > `${new Secret('hunter2', { fingerprint: true, salt: 'my-app' })}`
+ * '[Hidden Secret 64188066]'
  * ```
  *
  * @class
+ * @param {*} value The value to protect
+ * @param {Object} [opts] – Optional, named parameters
+ * @param {boolean} [opts.fingerprint=false] Whether to include a fingerprint
+ *   of the value when printed or serialized.
+ * @param {string} [opts.salt] Salt for the fingerprint; should be the same
+ *   for all processes whose logs are compared.
+ * @param {number} [opts.ttl] Number of milliseconds after which the secret expires.
+ * @param {Date|number} [opts.expiresAt] When the secret expires.
+ * @param {boolean} [opts.readOnce=false] Whether the secret can only be read once.
  */
 export class Secret {
-  constructor(value) {
+  constructor(value, {
+    fingerprint = false,
+    salt = __defaultSalt,
+    ttl,
+    expiresAt = isdef(ttl) ? Date.now() + ttl : undefined,
+    readOnce = false,
+  } = {}) {
+    __states.set(this, {
+      salt: fingerprint ? salt : undefined,
+      expiresAt: isdef(expiresAt) ? Number(expiresAt) : undefined,
+      readOnce,
+    });
     this._set(value);
   }
 
+  /**
+   * Create a secret from an environment variable.
+   *
+   * @param {string} name Name of the environment variable
+   * @param {Object} [opts] – Optional, named parameters; see the constructor
+   * @throws {Error} If the variable is not set.
+   * @returns {Secret}
+   */
+  static fromEnv(name, opts) {
+    const value = process.env[name];
+    if (!isdef(value)) {
+      throw new Error(`Environment variable not set: ${name}`);
+    }
+    return new Secret(value, opts);
+  }
+
+  /**
+   * The fingerprint of the value if enabled; undefined otherwise.
+   * @type {string|undefined}
+   */
+  get fingerprint() {
+    const { salt, disposed } = __states.get(this);
+    if (!isdef(salt) || disposed) {
+      return undefined;
+    }
+    return createHash('sha256')
+      .update(salt)
+      .update(__fingerprintData(__rawValue(this)))
+      .digest('hex')
+      .slice(0, 8);
+  }
+
   _set(value) {
+    assign(__states.get(this), { value, consumed: false, disposed: false });
     Object.defineProperty(this, 'secret', {
       enumerable: false,
       configurable: true,
-      get: type(value) === Secret ? (() => value.secret) : (() => value),
+      get: () => {
+        __checkReadable(this);
+        const r = type(value) === Secret ? value.secret : value;
+        const state = __states.get(this);
+        state.consumed = state.readOnce;
+        return r;
+      },
       set: (v) => {
         this._set(v);
       },
     });
   }
 
-  // eslint-disable-next-line class-methods-use-this
+  /**
+   * Make the secret unreadable; Buffers are zeroed.
+   */
+  dispose() {
+    const state = __states.get(this);
+    if (Buffer.isBuffer(state.value)) {
+      state.value.fill(0);
+    }
+    assign(state, { value: undefined, disposed: true });
+  }
+
   [inspect.custom]() {
-    return '[Hidden Secret]';
+    return this.toString();
   }
 
-  // eslint-disable-next-line class-methods-use-this
   toString() {
-    return '[Hidden Secret]';
+    const { fingerprint } = this;
+    return isdef(fingerprint) ? `[Hidden Secret ${fingerprint}]` : '[Hidden Secret]';
+  }
+
+  toJSON() {
+    return this.toString();
+  }
+
+  [JsonifyForLog.sym]() {
+    return this.toString();
   }
 }
+
+/**
+ * Replaces all secrets in plain objects, arrays and Maps with their values.
+ *
+ * The given object is not modified; a copy is returned.
+ *
+ * @function
+ * @throws {Error} If any of the secrets can not be read.
+ * @param {*} what The object to unwrap secrets in
+ * @returns {*} A copy without secrets
+ */
+export const unwrapSecrets = (what) => {
+  const t = type(what);
+  if (t === Secret) {
+    return unwrapSecrets(what.secret);
+  } else if (t === Array) {
+    return what.map((v) => unwrapSecrets(v));
+  } else if (t === Map) {
+    return new Map([...what].map(([k, v]) => [k, unwrapSecrets(v)]));
+  } else if (t === Object) {
+    return Object.fromEntries(Object.entries(what).map(([k, v]) => [k, unwrapSecrets(v)]));
+  }
+  return what;
+};
+
+/**
+ * Wraps the values at the given paths in plain objects, arrays and Maps into secrets.
+ *
+ * Paths consist of property names separated by dots, where `*` matches any
+ * single property name (or array index) and `**` any number of them; property
+ * names are compared case insensitively. Values that already are secrets
+ * are not wrapped again.
+ *
+ * The given object is not modified; a copy is returned.
+ *
+ * @example
+ * ```
+ * const config = wrapSecrets(JSON.parse(json), ['db.password', '**.apiKey']);
+ * ```
+ *
+ * @function
+ * @param {*} what The object to wrap secrets in
+ * @param {Array<string>} paths The paths of the values to wrap
+ * @param {Object} [opts] – Options for the secrets; see the Secret constructor
+ * @returns {*} A copy with secrets
+ */
+export const wrapSecrets = (what, paths, opts) => {
+  const compiled = paths.map(compilePath);
+  const walk = (v, path) => {
+    const t = type(v);
+    if (t === Secret) {
+      return v;
+    } else if (path.length > 0 && compiled.some((pattern) => pathMatches(pattern, path))) {
+      return new Secret(v, opts);
+    }
+    const child = (val, key) => walk(val, [...path, String(key).toLowerCase()]);
+    if (t === Array) {
+      return v.map(child);
+    } else if (t === Map) {
+      return new Map([...v].map(([k, val]) => [k, child(val, k)]));
+    } else if (t === Object) {
+      return Object.fromEntries(Object.entries(v).map(([k, val]) => [k, child(val, k)]));
+    }
+    return v;
+  };
+  return walk(what, []);
+};
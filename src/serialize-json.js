@@ -9,11 +9,90 @@
  * OF ANY KIND, either express or implied. See the License for the specific language
  * governing permissions and limitations under the License.
  */
+/* eslint-disable no-underscore-dangle, no-use-before-define */
 import { URL } from 'node:url';
-import { type, typename } from './util.js';
+import { parseStackFrames } from './stack-frames.js';
+import {
+  isdef, plainType, type, typename,
+} from './util.js';
 
+// Class prototype => serializer registered with JsonifyForLog.register()
+const __registry = new Map();
+
+/**
+ * Trait to customize how objects are converted by `jsonifyForLog`.
+ *
+ * Classes can implement the trait by providing a method named
+ * `JsonifyForLog.sym` that returns something `jsonifyForLog` can convert.
+ * For classes from other libraries, a function can be registered instead:
+ *
+ * ```
+ * JsonifyForLog.register(IncomingMessage, (req) => ({ method: req.method, url: req.url }));
+ * ```
+ *
+ * Registered functions also apply to subclasses unless a more specific
+ * function is registered for those; they take precedence over the trait
+ * method and the built-in conversions.
+ */
 export const JsonifyForLog = {
   sym: Symbol('JsonifyForLog'),
+
+  /**
+   * Register a function converting instances of the given class.
+   *
+   * @param {Function} cls The class
+   * @param {Function} fn Takes an instance and returns something jsonifyForLog can convert
+   */
+  register(cls, fn) {
+    __registry.set(cls.prototype, fn);
+  },
+
+  /**
+   * Remove the function registered for the given class.
+   *
+   * @param {Function} cls The class
+   */
+  unregister(cls) {
+    __registry.delete(cls.prototype);
+  },
+};
+
+const __registeredSerializer = (what) => {
+  if (__registry.size === 0 || !isdef(what)) {
+    return undefined;
+  }
+  let proto = Object.getPrototypeOf(what);
+  while (proto !== null && !__registry.has(proto)) {
+    proto = Object.getPrototypeOf(proto);
+  }
+  return proto === null ? undefined : __registry.get(proto);
+};
+
+// Approximate length of a value in json; used for the maxSize limit
+const __jsonLength = (v) => (type(v) === String ? v.length + 2 : String(v).length);
+
+// Errors keep their standard properties, custom properties (e.g. statusCode),
+// the cause and the errors of AggregateErrors
+const __errorEntries = (err, { stackFrames = false, sourceMaps = false }) => {
+  const r = [
+    ['$type', typename(type(err))],
+    ['name', err.name],
+    ['message', err.message],
+    ['stack', err.stack],
+  ];
+  if (stackFrames && type(err.stack) === String) {
+    r.push(['frames', parseStackFrames(err.stack, { sourceMaps })]);
+  }
+  r.push(['code', err.code]);
+  const known = new Set(['name', 'message', 'stack', 'code', 'cause', 'errors']);
+  r.push(...Object.entries(err).filter(([k]) => !known.has(k)));
+  if (Array.isArray(err.errors)) {
+    r.push(['errors', err.errors]);
+  }
+  if ('cause' in err) {
+    r.push(['cause', err.cause]);
+  }
+  return r;
 };
 
 /**
@@ -29,58 +108,184 @@ export const JsonifyForLog = {
  * logging. This is NOT suitable for proper serialization of json; specifically
  * this may lose information in cases where that makes sense.
  *
- * Features a default converter for any exception/subclass of Error.
+ * Features default converters for any exception/subclass of Error
+ * (including custom properties, the `cause` and the `errors` of AggregateErrors),
+ * BigInts, Symbols, RegExps, functions, Buffers, typed arrays and the
+ * fetch API's Headers (converted to a plain object), Request and Response
+ * (method/status, url and headers; bodies are never read).
+ *
+ * Circular references are replaced with `{ $ref: '[Circular]' }`. The size of
+ * the output can be limited; whatever is cut off is replaced with a marker:
+ *
+ * - Objects and arrays nested deeper than `maxDepth` levels:
+ *   `{ $truncated: 'depth', $type: 'Object' }`
+ * - Array elements (and Map/Set values) beyond `maxArrayLength`: a final
+ *   element `{ $truncated: 'items', omitted: 42 }`
+ * - Characters beyond `maxStringLength`: `…[truncated 42 characters]`
+ * - Anything after the output reached about `maxSize` characters of json:
+ *   A final array element `{ $truncated: 'size', omitted: 42 }`, or a
+ *   `$truncated: 'size'` property for objects.
  *
  * @function
  * @throws TraitNotImplemented If any object in the given object tree
  *   can not be converted to json-compatible
  * @param {*} what The object to convert
+ * @param {Object} [opts] – Optional, named parameters
+ * @param {Function} [opts.redact] Applied to the result, e.g. a function
+ *   created by `createRedactor()`.
+ * @param {number} [opts.maxDepth=Infinity] Maximum nesting of objects and arrays.
+ * @param {number} [opts.maxArrayLength=Infinity] Maximum number of array elements.
+ * @param {number} [opts.maxStringLength=Infinity] Maximum number of characters in strings.
+ * @param {number} [opts.maxSize=Infinity] Approximate maximum length of the json output.
+ * @param {boolean} [opts.stackFrames=false] Whether to add the stack of errors as
+ *   `frames` parsed with `parseStackFrames()`, next to the `stack` string.
+ * @param {boolean} [opts.sourceMaps=false] Whether to resolve the positions of those
+ *   frames using source maps.
  * @returns {*} Json compatible object
  */
-export const jsonifyForLog = (what) => {
-  switch (type(what)) {
-    case String:
-    case Number:
-    case Boolean:
-    case undefined:
-    case null:
-      return what;
-    case Object:
-      return Object.fromEntries(Object.entries(what).map(([k, v]) => [k, jsonifyForLog(v)]));
-    case Array:
-      return what.map(jsonifyForLog);
-    case Date:
-      return what.toJSON();
-    case URL:
-      return what.toString();
-    case Map:
-      return {
-        $type: 'Map',
-        values: [...what.entries()].map(([k, v]) => [k, jsonifyForLog(v)]),
-      };
-    case Set:
-      return {
-        $type: 'Set',
-        values: [...what.values()].map((v) => jsonifyForLog(v)),
-      };
-    default:
-      if (type(what[JsonifyForLog.sym]) === Function) {
-        return what[JsonifyForLog.sym]();
+export const jsonifyForLog = (what, opts = {}) => {
+  const {
+    redact,
+    maxDepth = Infinity,
+    maxArrayLength = Infinity,
+    maxStringLength = Infinity,
+    maxSize = Infinity,
+  } = opts;
+  if (redact) {
+    return redact(jsonifyForLog(what, { ...opts, redact: undefined }));
+  }
+
+  let size = 0;
+  const ancestors = new Set();
+
+  const primitive = (v) => {
+    const limit = Math.max(0, Math.min(maxStringLength, maxSize - size - 2));
+    const r = type(v) === String && v.length > limit
+      ? `${v.slice(0, limit)}…[truncated ${v.length - limit} characters]`
+      : v;
+    size += __jsonLength(r);
+    return r;
+  };
+
+  const list = (values, depth, fn = walk) => {
+    const r = [];
+    size += 2;
+    for (const v of values) {
+      if (size >= maxSize) {
+        r.push({ $truncated: 'size', omitted: values.length - r.length });
+        return r;
+      } else if (r.length >= maxArrayLength) {
+        r.push({ $truncated: 'items', omitted: values.length - r.length });
+        return r;
       }
-      if (what instanceof Error || what === Error) {
-        return {
-          $type: typename(type(what)),
-          name: what.name,
-          message: what.message,
-          stack: what.stack,
-          code: what.code,
-        };
+      r.push(fn(v, depth));
+      size += 1;
+    }
+    return r;
+  };
+
+  const entries = (pairs, depth) => {
+    const r = {};
+    size += 2;
+    for (const [k, v] of pairs) {
+      if (size >= maxSize) {
+        r.$truncated = 'size';
+        return r;
       }
-      if (type(what.toJSON) === Function) {
-        return what.toJSON();
-      } else {
-        const o = jsonifyForLog(Object.fromEntries(Object.entries(what)));
-        return { $type: typename(type(what)), ...o };
+      size += k.length + 4;
+      // Type names are never truncated
+      r[k] = k === '$type' && type(v) === String ? v : walk(v, depth);
+    }
+    return r;
+  };
+
+  const convert = (v, depth) => {
+    const t = plainType(v);
+    const isError = v instanceof Error || v === Error;
+    const isBuffer = Buffer.isBuffer(v);
+    if (t !== Object && t !== Array && t !== Map && t !== Set) {
+      if (type(v[JsonifyForLog.sym]) === Function) {
+        return walk(v[JsonifyForLog.sym](), depth);
+      } else if (!isError && !isBuffer && type(v.toJSON) === Function) {
+        return walk(v.toJSON(), depth);
       }
-  }
+    }
+
+    if (depth >= maxDepth) {
+      return { $truncated: 'depth', $type: typename(t) };
+    } else if (t === Object) {
+      return entries(Object.entries(v), depth + 1);
+    } else if (t === Array) {
+      return list(v, depth + 1);
+    } else if (t === Map) {
+      const pair = ([key, val], d) => [key, walk(val, d)];
+      return { $type: 'Map', values: list([...v.entries()], depth + 1, pair) };
+    } else if (t === Set) {
+      return { $type: 'Set', values: list([...v.values()], depth + 1) };
+    } else if (isBuffer) {
+      return entries([
+        ['$type', 'Buffer'], ['length', v.length], ['base64', v.toString('base64')],
+      ], depth + 1);
+    } else if (ArrayBuffer.isView(v) && !(v instanceof DataView)) {
+      return { $type: typename(t), values: list(v, depth + 1) };
+    } else if (t === globalThis.Headers) {
+      // A plain object, so redaction paths like `headers.authorization` apply
+      return entries([...v.entries()], depth + 1);
+    } else if (t === globalThis.Request) {
+      return entries([
+        ['$type', 'Request'], ['method', v.method], ['url', v.url], ['headers', v.headers],
+      ], depth + 1);
+    } else if (t === globalThis.Response) {
+      return entries([
+        ['$type', 'Response'], ['status', v.status], ['statusText', v.statusText],
+        ['url', v.url], ['headers', v.headers],
+      ], depth + 1);
+    } else if (isError) {
+      return entries(__errorEntries(v, opts), depth + 1);
+    }
+    return entries([['$type', typename(t)], ...Object.entries(v)], depth + 1);
+  };
+
+  const walk = (v, depth) => {
+    const serializer = __registeredSerializer(v);
+    if (isdef(serializer)) {
+      return guarded(v, () => walk(serializer(v), depth));
+    }
+    switch (plainType(v)) {
+      case String:
+      case Number:
+      case Boolean:
+      case undefined:
+      case null:
+        return primitive(v);
+      case Date:
+        return primitive(v.toJSON());
+      case URL:
+        return primitive(v.toString());
+      case BigInt:
+      case Symbol:
+      case RegExp:
+        return entries([['$type', typename(type(v))], ['value', v.toString()]], depth);
+      default:
+        break;
+    }
+    if (typeof v === 'function' && v !== Error) {
+      return entries([['$type', typename(type(v))], ['name', v.name]], depth);
+    }
+    return guarded(v, () => convert(v, depth));
+  };
+
+  const guarded = (v, fn) => {
+    if (ancestors.has(v)) {
+      return { $ref: '[Circular]' };
+    }
+    ancestors.add(v);
+    try {
+      return fn();
+    } finally {
+      ancestors.delete(v);
+    }
+  };
+
+  return walk(what, 0);
 };
@@ -0,0 +1,122 @@
+/*
+ * Copyright 2026 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+/* eslint-disable no-underscore-dangle */
+import { readFileSync } from 'node:fs';
+import { SourceMap } from 'node:module';
+import { dirname, isAbsolute, resolve } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { isdef } from './util.js';
+
+// `    at [async ][function ](location)` or `    at [async ]location`
+const __frameLine = /^\s*at (?:(async) )?(?:(.*?) \((.*)\)|(.*))$/;
+const __location = /^(.*):(\d+):(\d+)$/;
+const __sourceMappingUrl = /\/\/[#@] sourceMappingURL=(\S+)\s*$/;
+
+// File name => SourceMap with the directory of the map, or null if there is none
+const __sourceMaps = new Map();
+
+const __filePath = (file) => (file.startsWith('file://') ? fileURLToPath(file) : file);
+
+const __readSourceMap = (path) => {
+  const code = readFileSync(path, 'utf8');
+  const [, url] = code.match(__sourceMappingUrl) || [];
+  const dataPrefix = /^data:application\/json;(?:charset=utf-8;)?base64,/i;
+  if (isdef(url) && dataPrefix.test(url)) {
+    const json = Buffer.from(url.replace(dataPrefix, ''), 'base64').toString('utf8');
+    return { map: new SourceMap(JSON.parse(json)), dir: dirname(path) };
+  }
+  const mapPath = isdef(url) ? resolve(dirname(path), url) : `${path}.map`;
+  return {
+    map: new SourceMap(JSON.parse(readFileSync(mapPath, 'utf8'))),
+    dir: dirname(mapPath),
+  };
+};
+
+const __sourceMapFor = (file) => {
+  if (!__sourceMaps.has(file)) {
+    let r = null;
+    try {
+      r = __readSourceMap(__filePath(file));
+    } catch {
+      // Not a local file or no (valid) source map
+    }
+    __sourceMaps.set(file, r);
+  }
+  return __sourceMaps.get(file);
+};
+
+// Frame with the original position if the frame's file has a source map
+const __resolveFrame = (frame) => {
+  const { file, line, column } = frame;
+  const found = isdef(line) && __sourceMapFor(file);
+  if (!found) {
+    return frame;
+  }
+  const { map, dir } = found;
+  const entry = map.findEntry(line - 1, column - 1);
+  if (entry.generatedLine !== line - 1 || !isdef(entry.originalSource)) {
+    return frame;
+  }
+  const { sourceRoot = '' } = map.payload;
+  const source = entry.originalSource;
+  return {
+    ...frame,
+    file: /^[a-z][\w+.-]*:/i.test(source) || isAbsolute(source)
+      ? source
+      : resolve(dir, sourceRoot, source),
+    line: entry.originalLine + 1,
+    column: entry.originalColumn + 1,
+  };
+};
+
+/**
+ * Parses a V8 stack trace (like `error.stack`) into an array of frames.
+ *
+ * Each frame has the fields `function` (unless the function is anonymous),
+ * `file`, `line` and `column` (unless the location is unknown, e.g. for
+ * `native` frames or builtins like `Array.map`) and the flags `native` and `async`.
+ * Lines that are not frames (like the error message) are skipped.
+ *
+ * With `sourceMaps`, positions in local files that have a source map are
+ * replaced with their original positions. The map is found through the
+ * `sourceMappingURL` comment in the file (which may be a data URL) or
+ * at the file name with `.map` appended. Source maps are cached.
+ *
+ * @example
+ * ```
+ * parseStackFrames(new Error('Oops').stack);
+ * // => [{ function: 'main', file: '/app/index.js', line: 3, column: 9,
+ * //       native: false, async: false }, ...]
+ * ```
+ *
+ * @function
+ * @param {string} stack The stack trace
+ * @param {Object} [opts] – Optional, named parameters
+ * @param {boolean} [opts.sourceMaps=false] Whether to resolve positions using source maps.
+ * @returns {Array<Object>} The frames
+ */
+export const parseStackFrames = (stack, { sourceMaps = false } = {}) => String(stack)
+  .split('\n')
+  .map((line) => line.match(__frameLine))
+  .filter(isdef)
+  .map(([, async, fn, locationInParens, location = locationInParens]) => {
+    const [, file, line, column] = location.match(__location) || [];
+    const frame = {
+      function: fn,
+      file,
+      line: isdef(line) ? Number(line) : undefined,
+      column: isdef(column) ? Number(column) : undefined,
+      native: location === 'native',
+      async: isdef(async),
+    };
+    return sourceMaps ? __resolveFrame(frame) : frame;
+  });
@@ -13,8 +13,32 @@ export const isdef = (v) => v !== undefined && v !== null;
 
 export const type = (v) => (isdef(v) ? v.constructor : v);
 
+// Like type(), but objects without a prototype (e.g. from `querystring.parse()`) are plain objects
+export const plainType = (v) => (
+  typeof v === 'object' && v !== null && Object.getPrototypeOf(v) === null ? Object : type(v));
+
 export const typename = (t) => (isdef(t) ? t.name : `${t}`);
 
 export const empty = (t) => (Array.isArray(t) ? t.length === 0 : Object.entries(t).length === 0);
 
 export const identity = (a) => a;
+
+// `a.*.b` => ['a', '*', 'b']; matching is case insensitive
+export const compilePath = (path) => path.toLowerCase().split('.');
+
+// '*' matches one segment, '**' any number of segments
+export const pathMatches = (pattern, path, pi = 0, si = 0) => {
+  if (pi === pattern.length) {
+    return si === path.length;
+  } else if (pattern[pi] === '**') {
+    for (let skip = si; skip <= path.length; skip += 1) {
+      if (pathMatches(pattern, path, pi + 1, skip)) {
+        return true;
+      }
+    }
+    return false;
+  }
+  return si < path.length
+    && (pattern[pi] === '*' || pattern[pi] === path[si])
+    && pathMatches(pattern, path, pi + 1, si + 1);
+};
@@ -15,16 +15,25 @@
 
 import assert from 'node:assert';
 import stream from 'node:stream';
-import { ftruncateSync, openSync, readFileSync } from 'node:fs';
+import path from 'node:path';
+import { tmpdir } from 'node:os';
+import { execFileSync } from 'node:child_process';
+import {
+  closeSync, ftruncateSync, mkdirSync, mkdtempSync, openSync, readdirSync, readFileSync,
+  renameSync, rmSync, truncateSync, unlinkSync, utimesSync, writeFileSync,
+} from 'node:fs';
+import { gunzipSync } from 'node:zlib';
 import { inspect } from 'node:util';
+import { setFlagsFromString } from 'node:v8';
+import { runInNewContext } from 'node:vm';
 import {
-  bgBlackBright, bgBlueBright, bgRed, bgYellow, black, green, yellow,
+  bgBlackBright, bgBlueBright, bgCyan, bgRed, bgYellow, black, green, yellow,
 } from 'colorette';
 
 import {
   assertLogs,
   ConsoleLogger, createDefaultLogger, deriveLogger,
-  FileLogger, makeLogMessage,
+  FileLogger, getLogContext, lazy, Lazy, LoggerBase, makeLogMessage,
   MemLogger, messageFormatConsole, messageFormatJson, messageFormatJsonStatic,
   messageFormatJsonString,
   messageFormatSimple,
@@ -32,8 +41,12 @@ import {
   MultiLogger,
   numericLogLevel,
   recordAsyncLogs,
+  registerLogLevel,
+  reopenFileLoggers, reopenFileLoggersOnSignal,
   serializeMessage, SimpleInterface,
+  StreamLogger,
   tryInspect,
+  withLogContext,
 } from '../src/index.js';
 
 import { ckEq, ckThrows } from './util.js';
@@ -42,6 +55,54 @@ import { type, identity } from '../src/util.js';
 it('numericLogLevel', () => {
   assert.strictEqual(numericLogLevel('fatal'), 0);
   assert.throws(() => numericLogLevel('foo'));
+  assert.throws(() => numericLogLevel('toString'));
+});
+
+describe('registerLogLevel', () => {
+  registerLogLevel('notice', 2.5, { color: (s) => bgCyan(black(s)) });
+  registerLogLevel('audit', 1.5);
+
+  it('registers numeric levels', () => {
+    ckEq(numericLogLevel('notice'), 2.5);
+    ckEq(numericLogLevel('audit'), 1.5);
+  });
+
+  it('adds methods to SimpleInterface', () => {
+    const logger = new MemLogger({ formatter: messageFormatSimple, level: 'notice' });
+    const iff = new SimpleInterface({ logger });
+    iff.notice('Hello');
+    iff.noticeFields('World', { foo: 42 });
+    iff.audit('login');
+    iff.auditFields('logout', { user: 'bob' });
+    iff.info('dropped');
+    logger.level = 'warn';
+    iff.notice('dropped');
+    ckEq(logger.buf, [
+      '[NOTICE] Hello',
+      '[NOTICE] World { foo: 42 }',
+      '[AUDIT] login',
+      "[AUDIT] logout { user: 'bob' }",
+    ]);
+  });
+
+  it('uses the level color in messageFormatConsole', () => {
+    const fmt = (level) => messageFormatConsole(makeLogMessage({ level, message: ['Hello'] }));
+    ckEq(fmt('notice'), `${bgCyan(black('[NOTICE]'))} Hello`);
+    ckEq(fmt('audit'), `${bgBlackBright('[AUDIT]')} Hello`);
+  });
+
+  it('rejects invalid levels', () => {
+    ckThrows(Error, () => registerLogLevel('notice', 3));
+    ckThrows(Error, () => registerLogLevel('info', 3));
+    ckThrows(Error, () => registerLogLevel('Not Valid', 3));
+    ckThrows(Error, () => registerLogLevel(42, 3));
+    ckThrows(Error, () => registerLogLevel('critical', '0'));
+    ckThrows(Error, () => registerLogLevel('critical', NaN));
+    ckThrows(Error, () => registerLogLevel('flush', 3));
+    ckThrows(Error, () => registerLogLevel('log', 3));
+    ckThrows(Error, () => registerLogLevel('constructor', 3));
+    ckThrows(Error, () => numericLogLevel('critical'));
+  });
 });
 
 class BrokenInspect {
@@ -133,6 +194,31 @@ it('serializeMessage', () => {
   ]);
 });
 
+it('serializeMessage with format strings', () => {
+  const ck = (ref, msg) => assert.strictEqual(serializeMessage(msg, { formatString: true }), ref);
+  ck('', []);
+  ck('Took 42ms', ['Took %dms', 42]);
+  ck(
+    'a 1 2.5 3 {"x":1} { y: 2 } { z: [ 3 ] } 100%',
+    ['%s %i %f %d %j %o %O 100%%', 'a', 1.7, 2.5, 3, { x: 1 }, { y: 2 }, { z: [3] }],
+  );
+  ck('styled', ['%cstyled', 'color: red']);
+  // Superfluous arguments are appended, missing ones are left alone
+  ck('a b{ c: 1 }', ['%s ', 'a', 'b', { c: 1 }]);
+  ck('a %s', ['%s %s', 'a']);
+  ck('100%% %s', ['100%% %s']);
+  ck('42x', [42, 'x']);
+  // Throwing toString() does not break serialization
+  const evil = {
+    toString() {
+      throw new Error('nope');
+    },
+  };
+  assert.match(serializeMessage(['%s', evil], { formatString: true }), /toString/);
+  // Disabled by default
+  assert.strictEqual(serializeMessage(['%d', 42]), '%d42');
+});
+
 it('messageFormatSimple', () => {
   const ck = (fields, exp) => ckEq(messageFormatSimple(makeLogMessage(fields)), exp);
   ck(
@@ -143,6 +229,10 @@ it('messageFormatSimple', () => {
     { message: ['Hello ', { foo: 42 }, ' World'], level: 'error', bar: 23 },
     '[ERROR] Hello { foo: 42 } World { bar: 23 }',
   );
+  ck(
+    { message: ['Hello %s', 'World'], messageTemplate: 'Hello %s', bar: 23 },
+    '[INFO] Hello World { bar: 23 }',
+  );
 });
 
 it('messageFormatTechnical', () => {
@@ -186,6 +276,22 @@ it('messageFormatConsole', () => {
   ck('trace', `${bgBlackBright('[TRACE]')} Hello ${yellow('42')} World { foo: ${green("'asd'")} }`);
 });
 
+it('messageFormatConsole renders error causes', () => {
+  const root = new Error('socket hang up');
+  const err = new TypeError('Fetch failed', { cause: root });
+  err.statusCode = 502;
+  const agg = new AggregateError([err], 'All requests failed');
+  const ser = messageFormatConsole(makeLogMessage({
+    level: 'error', message: ['Oops ', err], agg,
+  }), { colors: false });
+  const lines = ser.split('\n');
+  assert(lines[0].endsWith(' Oops TypeError: Fetch failed'), ser);
+  assert(lines.includes('  statusCode: 502,'), ser);
+  assert(lines.includes('  [cause]: Error: socket hang up'), ser);
+  assert(lines.includes('    [errors]: ['), ser);
+  assert(lines.includes('        [cause]: Error: socket hang up'), ser);
+});
+
 it('messageFormatJson, messageFormatJsonString', () => {
   const ck = (fields, expect) => {
     const msg = makeLogMessage(fields);
@@ -205,6 +311,15 @@ it('messageFormatJson, messageFormatJsonString', () => {
     gerbil: true,
     level: 'info',
   });
+
+  ck({
+    message: ['Took %dms', 42],
+    messageTemplate: 'Took %dms',
+  }, {
+    message: 'Took 42ms',
+    messageTemplate: 'Took %dms',
+    level: 'info',
+  });
 });
 
 it('makeLogMessage', () => {
@@ -410,22 +525,154 @@ const testLogger = (T, hasFormatter, args, opts, recordLogs) => {
   });
 };
 
+const recordStreamLogs = (logger, fn) => {
+  const ss = new StringStream();
+  const backup = logger.stream;
+  try {
+    logger.stream = ss;
+    fn();
+  } finally {
+    logger.stream = backup;
+  }
+
+  const r = ss.extract().split('\n');
+  if (r.at(-1) === '') {
+    r.pop();
+  }
+  return r;
+};
+
 describe('ConsoleLogger', async () => {
-  testLogger(ConsoleLogger, true, [], {}, (logger, fn) => {
-    const ss = new StringStream();
-    const backup = logger.stream;
-    try {
-      logger.stream = ss;
-      fn();
-    } finally {
-      logger.stream = backup;
+  testLogger(ConsoleLogger, true, [], {}, recordStreamLogs);
+});
+
+describe('StreamLogger', () => {
+  testLogger(StreamLogger, true, [new StringStream()], {}, recordStreamLogs);
+
+  it('can be derived', async () => {
+    const out = new StringStream();
+    const logger = new ConsoleLogger({
+      stream: out, formatter: messageFormatSimple, collapseDuplicates: true,
+    });
+    const derived = deriveLogger(logger, { defaultFields: { derived: true } });
+    ckEq(Object.keys(derived).includes('_queue'), false);
+    ckEq(derived.collapseDuplicates, true);
+    derived.log(makeLogMessage({ message: ['Hello'] }));
+    await derived.flush();
+    ckEq(out.extract(), '[INFO] Hello { derived: true }\n');
+  });
+
+  it('can be derived without a ConsoleLogger', async () => {
+    const out = new StringStream();
+    const logger = new StreamLogger(out, { formatter: messageFormatSimple, maxQueue: 7 });
+    const derived = deriveLogger(logger, { defaultFields: { derived: true } });
+    assert.strictEqual(derived.stream, out);
+    ckEq(derived.maxQueue, 7);
+    derived.log(makeLogMessage({ message: ['Hello'] }));
+    await derived.flush();
+    ckEq(out.extract(), '[INFO] Hello { derived: true }\n');
+
+    const byOpts = new StreamLogger({ stream: out, formatter: messageFormatSimple });
+    byOpts.log(makeLogMessage({ message: ['Hi'] }));
+    await byOpts.flush();
+    ckEq(out.extract(), '[INFO] Hello { derived: true }\n[INFO] Hi\n');
+  });
+
+  // Accepts a single byte before signaling backpressure
+  class SlowStream extends stream.Writable {
+    constructor() {
+      super({ highWaterMark: 1 });
+      this.lines = [];
     }
 
-    const r = ss.extract().split('\n');
-    if (r.at(-1) === '') {
-      r.pop();
+    _write(chunk, enc, next) {
+      this.lines.push(chunk.toString().trim());
+      if (this.paused) {
+        this.resume = next;
+      } else {
+        setImmediate(next);
+      }
     }
-    return r;
+  }
+
+  const setup = (opts) => {
+    const out = new SlowStream();
+    const logger = new StreamLogger(out, { formatter: messageFormatSimple, ...opts });
+    const log = (i) => logger.log(makeLogMessage({ message: [`${i}`] }));
+    return { out, logger, log };
+  };
+
+  it('drops the oldest records', async () => {
+    const { out, logger, log } = setup({ maxQueue: 2 });
+    [0, 1, 2, 3, 4].forEach(log);
+    ckEq(out.lines, ['[INFO] 0']);
+    await logger.flush();
+    ckEq(out.lines, [
+      '[INFO] 0',
+      '[INFO] 3',
+      '[INFO] 4',
+      '[WARN] Dropped 2 log messages because the stream could not keep up. { droppedMessages: 2 }',
+    ]);
+    log(5);
+    await logger.flush();
+    ckEq(out.lines.at(-1), '[INFO] 5');
+  });
+
+  it('drops the newest records', async () => {
+    const { out, logger, log } = setup({ maxQueue: 2, overflow: 'dropNewest' });
+    [0, 1, 2, 3, 4].forEach(log);
+    await logger.flush();
+    ckEq(out.lines, [
+      '[INFO] 0',
+      '[INFO] 1',
+      '[INFO] 2',
+      '[WARN] Dropped 2 log messages because the stream could not keep up. { droppedMessages: 2 }',
+    ]);
+  });
+
+  it('blocks until records fit into the queue', async () => {
+    const { out, logger, log } = setup({ maxQueue: 2, overflow: 'block' });
+    out.paused = true;
+    const accepted = [];
+    const logged = [0, 1, 2, 3, 4].map((i) => Promise.resolve(log(i)).then(() => accepted.push(i)));
+    await new Promise((res) => {
+      setImmediate(res);
+    });
+    ckEq(accepted, [0, 1, 2]);
+    out.paused = false;
+    out.resume();
+    await Promise.all(logged);
+    await logger.flush();
+    ckEq(out.lines, ['[INFO] 0', '[INFO] 1', '[INFO] 2', '[INFO] 3', '[INFO] 4']);
+  });
+
+  it('stops waiting when the stream is destroyed', async () => {
+    const { out, logger, log } = setup({ maxQueue: 2, overflow: 'block' });
+    out.paused = true;
+    out.on('error', () => {});
+    const logged = [0, 1, 2, 3, 4].map((i) => log(i));
+    const flushed = logger.flush();
+    out.destroy(new Error('EPIPE'));
+    await Promise.all([...logged, flushed]);
+    ckEq(out.lines, ['[INFO] 0']);
+
+    // Further records are discarded
+    ckEq(log(5), undefined);
+    await logger.flush();
+    ckEq(out.lines, ['[INFO] 0']);
+  });
+
+  it('stops waiting when the stream was destroyed without events', async () => {
+    const { out, logger, log } = setup({ maxQueue: 2 });
+    out.paused = true;
+    [0, 1, 2].forEach(log);
+    out.destroyed = true;
+    await logger.flush();
+    ckEq(out.lines, ['[INFO] 0']);
+  });
+
+  it('throws on invalid overflow policy', () => {
+    ckThrows(Error, () => new StreamLogger(new StringStream(), { overflow: 'explode' }));
   });
 });
 
@@ -450,6 +697,558 @@ describe('FileLogger', async () => {
   }
 });
 
+describe('FileLogger rotation', () => {
+  let dir;
+  beforeEach(() => {
+    dir = mkdtempSync(path.join(tmpdir(), 'helix-log-rotation-'));
+  });
+
+  afterEach(() => {
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  const lines = (file) => readFileSync(file, 'utf-8').split('\n').filter((l) => l !== '');
+
+  it('rotates when maxSize would be exceeded', () => {
+    const file = path.join(dir, 'app.log');
+    const logger = new FileLogger(file, {
+      maxSize: 20, maxFiles: 2, formatter: messageFormatSimple,
+    });
+    const iff = new SimpleInterface({ logger });
+    try {
+      for (let i = 0; i < 7; i += 1) {
+        iff.info(`msg ${i}`);
+      }
+    } finally {
+      logger.close();
+    }
+    // Each record is 13 bytes long, so every file holds exactly one record
+    ckEq(readdirSync(dir).sort(), ['app.log', 'app.log.1', 'app.log.2']);
+    ckEq(lines(file), ['[INFO] msg 6']);
+    ckEq(lines(`${file}.1`), ['[INFO] msg 5']);
+    ckEq(lines(`${file}.2`), ['[INFO] msg 4']);
+  });
+
+  it('never splits records', () => {
+    const file = path.join(dir, 'app.log');
+    const logger = new FileLogger(file, { maxSize: 40, formatter: messageFormatSimple });
+    const iff = new SimpleInterface({ logger });
+    try {
+      iff.info('a');
+      iff.info('b'.repeat(100));
+      iff.info('c');
+      iff.info('d');
+    } finally {
+      logger.close();
+    }
+    ckEq(lines(`${file}.2`), ['[INFO] a']);
+    ckEq(lines(`${file}.1`), [`[INFO] ${'b'.repeat(100)}`]);
+    ckEq(lines(file), ['[INFO] c', '[INFO] d']);
+  });
+
+  it('continues with the size of an existing file', () => {
+    const file = path.join(dir, 'app.log');
+    writeFileSync(file, 'x'.repeat(15));
+    const logger = new FileLogger(file, { maxSize: 20, formatter: messageFormatSimple });
+    try {
+      new SimpleInterface({ logger }).info('hello');
+    } finally {
+      logger.close();
+    }
+    ckEq(lines(file), ['[INFO] hello']);
+    ckEq(lines(`${file}.1`), ['x'.repeat(15)]);
+  });
+
+  it('deletes the file with maxFiles=0', () => {
+    const file = path.join(dir, 'app.log');
+    const logger = new FileLogger(file, {
+      maxSize: 10, maxFiles: 0, formatter: messageFormatSimple,
+    });
+    try {
+      const iff = new SimpleInterface({ logger });
+      iff.info('hello');
+      iff.info('world');
+    } finally {
+      logger.close();
+    }
+    ckEq(readdirSync(dir), ['app.log']);
+    ckEq(lines(file), ['[INFO] world']);
+  });
+
+  it('refuses to rotate file descriptors', () => {
+    ckThrows(Error, () => new FileLogger(2, { maxSize: 10 }));
+    const logger = new FileLogger(2);
+    const err = ckThrows(Error, () => logger.rotate());
+    assert(err.message.match(/file descriptor 2/), err.message);
+    ckEq(logger.fd, 2);
+  });
+
+  const withTime = (iso, fn) => {
+    const backup = Date.now;
+    try {
+      Date.now = () => new Date(iso).valueOf();
+      return fn();
+    } finally {
+      Date.now = backup;
+    }
+  };
+
+  it('rotates by date pattern and compresses rotated files', async () => {
+    const file = path.join(dir, 'app-%Y-%m-%d.log');
+    const logger = withTime('2026-10-18T23:59:00Z', () => new FileLogger(file, {
+      compress: true, formatter: messageFormatSimple,
+    }));
+    const iff = new SimpleInterface({ logger });
+    try {
+      withTime('2026-10-18T23:59:30Z', () => iff.info('first'));
+      withTime('2026-10-19T00:00:10Z', () => iff.info('second'));
+      await logger.flush();
+    } finally {
+      logger.close();
+    }
+    ckEq(readdirSync(dir).sort(), ['app-2026-10-18.log.gz', 'app-2026-10-19.log']);
+    ckEq(gunzipSync(readFileSync(path.join(dir, 'app-2026-10-18.log.gz'))).toString(), '[INFO] first\n');
+    ckEq(lines(path.join(dir, 'app-2026-10-19.log')), ['[INFO] second']);
+  });
+
+  it('supports hourly patterns', () => {
+    const file = path.join(dir, 'app-%Y%m%d-%H-100%%.log');
+    const logger = withTime('2026-01-02T03:04:05Z', () => new FileLogger(file));
+    logger.close();
+    ckEq(readdirSync(dir), ['app-20260102-03-100%.log']);
+  });
+
+  it('compresses files rotated by size', async () => {
+    const file = path.join(dir, 'app.log');
+    const logger = new FileLogger(file, {
+      maxSize: 20, maxFiles: 2, compress: true, formatter: messageFormatSimple,
+    });
+    const iff = new SimpleInterface({ logger });
+    try {
+      // Rotations happen while previous files are still being compressed
+      for (let i = 0; i < 4; i += 1) {
+        iff.info(`msg ${i}`);
+      }
+      await logger.flush();
+    } finally {
+      logger.close();
+    }
+    ckEq(readdirSync(dir).sort(), ['app.log', 'app.log.1.gz', 'app.log.2.gz']);
+    ckEq(gunzipSync(readFileSync(`${file}.1.gz`)).toString(), '[INFO] msg 2\n');
+    ckEq(gunzipSync(readFileSync(`${file}.2.gz`)).toString(), '[INFO] msg 1\n');
+    ckEq(lines(file), ['[INFO] msg 3']);
+  });
+
+  it('deletes rotated files older than maxAge', async () => {
+    const old = new Date(Date.now() - 3 * 24 * 60 * 60 * 1000);
+    for (const file of ['app-2026-01-01.log.gz', 'app-2026-01-02.log', 'app-2026-01-03.log.1', 'other.log']) {
+      writeFileSync(path.join(dir, file), 'old');
+      utimesSync(path.join(dir, file), old, old);
+    }
+    writeFileSync(path.join(dir, 'app-2026-01-04.log'), 'new');
+
+    const logger = new FileLogger(path.join(dir, 'app-%Y-%m-%d.log'), {
+      maxAge: 24 * 60 * 60 * 1000,
+    });
+    try {
+      await logger.flush();
+    } finally {
+      logger.close();
+    }
+    const expected = ['app-2026-01-04.log', path.basename(logger.path), 'other.log'];
+    ckEq(readdirSync(dir).sort(), expected.sort());
+  });
+
+  it('works with every formatter', () => {
+    const formatters = [
+      messageFormatSimple, messageFormatTechnical, messageFormatConsole,
+      messageFormatJson, messageFormatJsonString,
+    ];
+    formatters.forEach((formatter, idx) => {
+      const file = path.join(dir, `app${idx}.log`);
+      const logger = new FileLogger(file, { maxSize: 100, maxFiles: 10, formatter });
+      const iff = new SimpleInterface({ logger });
+      try {
+        for (let i = 0; i < 10; i += 1) {
+          iff.infoFields(`message ${i}`, { idx: i });
+        }
+      } finally {
+        logger.close();
+      }
+      const logged = readdirSync(dir)
+        .filter((f) => f.startsWith(`app${idx}.log`))
+        .sort((a, b) => b.localeCompare(a))
+        .flatMap((f) => lines(path.join(dir, f)));
+      ckEq(logged.length, 10);
+      logged.forEach((line, i) => assert(line.includes(`message ${i}`), line));
+    });
+  });
+
+  it('refuses to compress file descriptors', () => {
+    ckThrows(Error, () => new FileLogger(2, { compress: true }));
+  });
+});
+
+describe('FileLogger reopen', () => {
+  let dir;
+  let file;
+  beforeEach(() => {
+    dir = mkdtempSync(path.join(tmpdir(), 'helix-log-reopen-'));
+    file = path.join(dir, 'app.log');
+  });
+
+  afterEach(() => {
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  const content = (f) => readFileSync(f, 'utf-8');
+
+  it('reopens the file after it was moved', () => {
+    const logger = new FileLogger(file, { formatter: messageFormatSimple });
+    const iff = new SimpleInterface({ logger });
+    try {
+      iff.info('a');
+      renameSync(file, `${file}.old`);
+      iff.info('b');
+      logger.reopen();
+      iff.info('c');
+    } finally {
+      logger.close();
+    }
+    ckEq(content(`${file}.old`), '[INFO] a\n[INFO] b\n');
+    ckEq(content(file), '[INFO] c\n');
+  });
+
+  it('reopens all loggers on signal', () => {
+    const file2 = path.join(dir, 'other.log');
+    const loggers = [file, file2].map((f) => new FileLogger(f, { formatter: messageFormatSimple }));
+    const closed = new FileLogger(path.join(dir, 'closed.log'));
+    closed.close();
+    const uninstall = reopenFileLoggersOnSignal();
+    try {
+      renameSync(file, `${file}.old`);
+      renameSync(file2, `${file2}.old`);
+      process.emit('SIGHUP', 'SIGHUP');
+      loggers.forEach((logger) => new SimpleInterface({ logger }).info('new'));
+    } finally {
+      uninstall();
+      loggers.forEach((logger) => logger.close());
+    }
+    ckEq(content(file), '[INFO] new\n');
+    ckEq(content(file2), '[INFO] new\n');
+    ckEq(content(`${file}.old`), '');
+    ckEq(process.listenerCount('SIGHUP'), 0);
+  });
+
+  it('does not keep loggers that were never closed alive', async () => {
+    setFlagsFromString('--expose-gc');
+    const gc = runInNewContext('gc');
+    let logger = new FileLogger(file);
+    const { fd } = logger;
+    const ref = new WeakRef(logger);
+    logger = undefined;
+    // WeakRefs keep their target alive until the current job is done
+    await new Promise((res) => {
+      setImmediate(res);
+    });
+    gc();
+    closeSync(fd);
+    assert.strictEqual(ref.deref(), undefined);
+    reopenFileLoggers();
+  });
+
+  it('reports errors while reopening', async () => {
+    mkdirSync(path.join(dir, 'sub'));
+    const logger = new FileLogger(path.join(dir, 'sub', 'app.log'), {
+      formatter: messageFormatSimple,
+    });
+    const errors = [];
+    logger.log = (fields) => errors.push(fields);
+    try {
+      rmSync(path.join(dir, 'sub'), { recursive: true });
+      reopenFileLoggers();
+      await new Promise((res) => {
+        setImmediate(res);
+      });
+    } finally {
+      logger.close();
+    }
+    ckEq(errors.length, 1);
+    ckEq(errors[0].message, ['Encountered exception while logging!']);
+    ckEq(errors[0].exception.code, 'ENOENT');
+  });
+
+  it('detects moved and truncated files', () => {
+    const logger = new FileLogger(file, { formatter: messageFormatSimple, reopenCheckInterval: 0 });
+    const iff = new SimpleInterface({ logger });
+    try {
+      iff.info('a');
+      renameSync(file, `${file}.1`);
+      iff.info('b');
+      unlinkSync(file);
+      iff.info('c');
+      truncateSync(file);
+      iff.info('d');
+    } finally {
+      logger.close();
+    }
+    ckEq(content(`${file}.1`), '[INFO] a\n');
+    ckEq(content(file), '[INFO] d\n');
+  });
+
+  it('limits how often to check for moved files', () => {
+    const logger = new FileLogger(file, {
+      formatter: messageFormatSimple, reopenCheckInterval: 60 * 60 * 1000,
+    });
+    const iff = new SimpleInterface({ logger });
+    try {
+      iff.info('a');
+      renameSync(file, `${file}.1`);
+      iff.info('b');
+    } finally {
+      logger.close();
+    }
+    ckEq(content(`${file}.1`), '[INFO] a\n[INFO] b\n');
+  });
+
+  it('refuses to reopen file descriptors', () => {
+    const logger = new FileLogger(2);
+    const err = ckThrows(Error, () => logger.reopen());
+    assert(err.message.match(/file descriptor 2/), err.message);
+    ckThrows(Error, () => new FileLogger(2, { reopenCheckInterval: 0 }));
+  });
+});
+
+describe('collapseDuplicates', () => {
+  const at = (sec, message, level = 'info') => makeLogMessage({
+    level, message, timestamp: new Date(Date.UTC(2026, 0, 1, 0, 0, sec)),
+  });
+  const summary = (n, first, last) => `[INFO] Last message repeated ${n} times { repeated: ${n}, `
+    + `firstTimestamp: 2026-01-01T00:00:0${first}.000Z, lastTimestamp: 2026-01-01T00:00:0${last}.000Z }`;
+  const setup = (opts) => {
+    const out = new StringStream();
+    const logger = new StreamLogger(out, {
+      formatter: messageFormatSimple, collapseDuplicates: true, ...opts,
+    });
+    const lines = () => out.extract().split('\n').filter((l) => l !== '');
+    return { logger, lines };
+  };
+
+  it('writes a summary when a different record arrives', async () => {
+    const { logger, lines } = setup();
+    logger.log(at(0, ['Retrying', 1]));
+    logger.log(at(1, ['Retrying', 1]));
+    logger.log(at(2, ['Retrying', 1]));
+    logger.log(at(3, ['Retrying', 2]));
+    logger.log(at(4, ['Retrying', 2], 'warn'));
+    logger.log(at(5, ['Retrying', 2], 'warn'));
+    await logger.flush();
+    ckEq(lines(), [
+      '[INFO] Retrying1',
+      summary(2, 1, 2),
+      '[INFO] Retrying2',
+      '[WARN] Retrying2',
+      summary(1, 5, 5).replace('[INFO]', '[WARN]'),
+    ]);
+  });
+
+  it('considers fields but not timestamps', async () => {
+    const { logger, lines } = setup();
+    logger.log({ ...at(0, ['a']), user: 'x' });
+    logger.log({ ...at(1, ['a']), user: 'y' });
+    logger.log({ ...at(2, ['a']), user: 'y' });
+    logger.log({ level: 'info', message: ['a'], user: 'y' });
+    ckEq(lines().slice(0, 2), ["[INFO] a { user: 'x' }", "[INFO] a { user: 'y' }"]);
+    await logger.flush();
+    assert.match(lines()[2], /^\[INFO\] Last message repeated 2 times \{ repeated: 2,/);
+  });
+
+  it('writes a summary after collapseTimeout', async () => {
+    const { logger, lines } = setup({ collapseTimeout: 5 });
+    logger.log(at(0, ['a']));
+    logger.log(at(1, ['a']));
+    await new Promise((res) => {
+      setTimeout(res, 30);
+    });
+    ckEq(lines(), ['[INFO] a', summary(1, 1, 1)]);
+    // Repetitions are counted again after the summary
+    logger.log(at(2, ['a']));
+    await logger.flush();
+    ckEq(lines(), ['[INFO] a', summary(1, 1, 1), summary(1, 2, 2)]);
+  });
+
+  it('is disabled by default', async () => {
+    const { logger, lines } = setup({ collapseDuplicates: false });
+    logger.log(at(0, ['a']));
+    logger.log(at(0, ['a']));
+    await logger.flush();
+    ckEq(lines(), ['[INFO] a', '[INFO] a']);
+  });
+
+  it('works with FileLogger', async () => {
+    const dir = mkdtempSync(path.join(tmpdir(), 'helix-log-collapse-'));
+    const file = path.join(dir, 'app.log');
+    try {
+      const lines = () => readFileSync(file, 'utf-8').split('\n').filter((l) => l !== '');
+      const logger = new FileLogger(file, {
+        formatter: messageFormatSimple, collapseDuplicates: true,
+      });
+      logger.log(at(0, ['a']));
+      logger.log(at(1, ['a']));
+      ckEq(lines(), ['[INFO] a']);
+      await logger.flush();
+      ckEq(lines(), ['[INFO] a', summary(1, 1, 1)]);
+      logger.log(at(2, ['a']));
+      logger.log(at(3, ['a']));
+      logger.close();
+      ckEq(lines(), ['[INFO] a', summary(1, 1, 1), summary(2, 2, 3)]);
+    } finally {
+      rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
+
+describe('FileLogger buffered', () => {
+  let dir;
+  let file;
+  beforeEach(() => {
+    dir = mkdtempSync(path.join(tmpdir(), 'helix-log-buffered-'));
+    file = path.join(dir, 'app.log');
+  });
+
+  afterEach(() => {
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  const content = (f) => readFileSync(f, 'utf-8');
+  const sleep = (ms) => new Promise((res) => {
+    setTimeout(res, ms);
+  });
+
+  it('writes records on flush', async () => {
+    const logger = new FileLogger(file, { buffered: true, formatter: messageFormatSimple });
+    const iff = new SimpleInterface({ logger });
+    try {
+      iff.info('a');
+      iff.info('b');
+      ckEq(content(file), '');
+      await logger.flush();
+      ckEq(content(file), '[INFO] a\n[INFO] b\n');
+      iff.info('c');
+      await logger.flush();
+      ckEq(content(file), '[INFO] a\n[INFO] b\n[INFO] c\n');
+    } finally {
+      logger.close();
+    }
+  });
+
+  it('writes records once bufferSize is reached', async () => {
+    const logger = new FileLogger(file, {
+      buffered: true, bufferSize: 20, flushInterval: 60 * 60 * 1000, formatter: messageFormatSimple,
+    });
+    const iff = new SimpleInterface({ logger });
+    try {
+      iff.info('a');
+      await sleep(10);
+      ckEq(content(file), '');
+      iff.info('b');
+      iff.info('c'); // written while the first batch is being written
+      await sleep(10);
+      ckEq(content(file), '[INFO] a\n[INFO] b\n[INFO] c\n');
+    } finally {
+      logger.close();
+    }
+  });
+
+  it('writes records after flushInterval', async () => {
+    const logger = new FileLogger(file, {
+      buffered: true, flushInterval: 5, formatter: messageFormatSimple,
+    });
+    const iff = new SimpleInterface({ logger });
+    try {
+      iff.info('a');
+      ckEq(content(file), '');
+      await sleep(30);
+      ckEq(content(file), '[INFO] a\n');
+    } finally {
+      logger.close();
+    }
+  });
+
+  it('writes remaining records on close', () => {
+    const logger = new FileLogger(file, { buffered: true, formatter: messageFormatSimple });
+    new SimpleInterface({ logger }).info('a');
+    logger.close();
+    ckEq(content(file), '[INFO] a\n');
+  });
+
+  it('rotates between records', async () => {
+    const logger = new FileLogger(file, {
+      buffered: true, maxSize: 30, maxFiles: 3, formatter: messageFormatSimple,
+    });
+    const iff = new SimpleInterface({ logger });
+    try {
+      for (let i = 0; i < 7; i += 1) {
+        iff.info(`msg ${i}`);
+      }
+      await logger.flush();
+    } finally {
+      logger.close();
+    }
+    ckEq(content(`${file}.3`), '[INFO] msg 0\n[INFO] msg 1\n');
+    ckEq(content(`${file}.2`), '[INFO] msg 2\n[INFO] msg 3\n');
+    ckEq(content(`${file}.1`), '[INFO] msg 4\n[INFO] msg 5\n');
+    ckEq(content(file), '[INFO] msg 6\n');
+  });
+
+  it('defers reopening while writing', async () => {
+    const logger = new FileLogger(file, { buffered: true, formatter: messageFormatSimple });
+    const iff = new SimpleInterface({ logger });
+    try {
+      iff.info('a');
+      const flushed = logger.flush();
+      renameSync(file, `${file}.old`);
+      logger.reopen();
+      await flushed;
+      iff.info('b');
+      await logger.flush();
+    } finally {
+      logger.close();
+    }
+    ckEq(content(`${file}.old`), '[INFO] a\n');
+    ckEq(content(file), '[INFO] b\n');
+  });
+
+  it('reports write errors on the console', async () => {
+    const logger = new FileLogger(file, { buffered: true, formatter: messageFormatSimple });
+    const errors = [];
+    const backup = console.error;
+    try {
+      console.error = (...args) => errors.push(args);
+      new SimpleInterface({ logger }).info('a');
+      closeSync(logger.fd);
+      await logger.flush();
+    } finally {
+      console.error = backup;
+    }
+    ckEq(errors.length, 1);
+    ckEq(errors[0][1].code, 'EBADF');
+  });
+
+  it('writes buffered records when the process exits', () => {
+    const src = new URL('../src/index.js', import.meta.url).href;
+    execFileSync(process.execPath, ['--input-type=module', '-e', `
+      import { FileLogger, SimpleInterface, messageFormatSimple } from '${src}';
+      const logger = new FileLogger(${JSON.stringify(file)}, {
+        buffered: true, formatter: messageFormatSimple,
+      });
+      new SimpleInterface({ logger }).info('last words');
+      process.exit(0);
+    `]);
+    ckEq(content(file), '[INFO] last words\n');
+  });
+});
+
 describe('MemLogger', () => {
   testLogger(MemLogger, true, [], {}, (logger, fn) => {
     // eslint-disable-next-line no-param-reassign
@@ -493,6 +1292,75 @@ describe('MultiLogger', async () => {
     await iff.flush();
     assert.deepStrictEqual(flushes, ['log0', 'log1']);
   });
+
+  describe('routes', () => {
+    const setup = (routes) => {
+      const subs = {
+        errors: new MemLogger({ formatter: messageFormatSimple }),
+        audit: new MemLogger({ formatter: messageFormatSimple }),
+        console: new MemLogger({ formatter: messageFormatSimple }),
+      };
+      const logger = new MultiLogger(subs, { routes });
+      const iff = new SimpleInterface({ logger });
+      const bufs = () => Object.fromEntries(Object.entries(subs).map(([k, v]) => [k, v.buf]));
+      return { iff, logger, bufs };
+    };
+
+    it('routes by level and fields', () => {
+      const { iff, bufs } = setup([
+        { level: 'error', to: 'errors', exclusive: true },
+        { fields: { subsystem: 'audit' }, to: 'audit', exclusive: true },
+        { to: 'console' },
+      ]);
+      iff.error('broken');
+      iff.fatalFields('audit broken', { subsystem: 'audit' });
+      iff.infoFields('login', { subsystem: 'audit' });
+      iff.info('hello');
+      ckEq(bufs(), {
+        errors: ['[ERROR] broken', "[FATAL] audit broken { subsystem: 'audit' }"],
+        audit: ["[INFO] login { subsystem: 'audit' }"],
+        console: ['[INFO] hello'],
+      });
+    });
+
+    it('sends to all matching routes unless exclusive', () => {
+      const { iff, bufs } = setup([
+        { level: 'warn', to: ['errors', 'console'] },
+        { fields: { user: /^adm/ }, to: 'audit' },
+        { when: (fields) => fields.user !== undefined, to: 'console' },
+      ]);
+      iff.warnFields('careful', { user: 'admin' });
+      iff.infoFields('hello', { user: 'bob' });
+      iff.info('dropped');
+      ckEq(bufs(), {
+        errors: ["[WARN] careful { user: 'admin' }"],
+        audit: ["[WARN] careful { user: 'admin' }"],
+        console: ["[WARN] careful { user: 'admin' }", "[INFO] hello { user: 'bob' }"],
+      });
+    });
+
+    it('supports predicate functions for fields', () => {
+      const { iff, bufs } = setup([
+        { fields: { status: (v) => v >= 500, level: 'info' }, to: 'errors' },
+      ]);
+      iff.infoFields('ok', { status: 200 });
+      iff.infoFields('failed', { status: 503 });
+      iff.infoFields('no status', { });
+      ckEq(bufs().errors, ['[INFO] failed { status: 503 }']);
+    });
+
+    it('reports unknown loggers', async () => {
+      const { logger, bufs } = setup([
+        { level: 'error', to: 'errors', exclusive: true },
+        { to: 'nope' },
+      ]);
+      await logger.log(makeLogMessage({ message: ['hello'] }));
+      const { errors } = bufs();
+      ckEq(errors.length, 1);
+      assert(errors[0].startsWith('[ERROR] Encountered exception while logging!'), errors[0]);
+      assert(errors[0].includes('MultiLogger route refers to unknown logger: nope'), errors[0]);
+    });
+  });
 });
 
 describe('InterfaceBase & SimpleInterface', () => {
@@ -548,6 +1416,23 @@ describe('InterfaceBase & SimpleInterface', () => {
     ]);
   });
 
+  it('Supports format strings', () => {
+    logger.buf = [];
+    const sl = new SimpleInterface({ logger, formatStrings: true });
+    sl.info('Took %dms to fetch %s', 42, 'index.html');
+    sl.warnFields('%d%% done', 50, { job: 'x' });
+    sl.info('No template ', 42);
+    iff.info('Took %dms', 42);
+    ckEq(logger.buf, [
+      { level: 'info', message: 'Took 42ms to fetch index.html', messageTemplate: 'Took %dms to fetch %s' },
+      {
+        level: 'warn', message: '50% done', messageTemplate: '%d%% done', job: 'x',
+      },
+      { level: 'info', message: 'No template 42' },
+      { level: 'info', message: 'Took %dms42' },
+    ]);
+  });
+
   it('can filter default fields', () => {
     logger.buf = [];
     const sl = new SimpleInterface({
@@ -624,3 +1509,458 @@ describe('InterfaceBase & SimpleInterface', () => {
     ]);
   });
 });
+
+describe('withLogContext', () => {
+  const logger = new MemLogger({ formatter: messageFormatJsonStatic });
+  const iff = new SimpleInterface({ logger, defaultFields: { app: 'a', requestId: 'none' } });
+  beforeEach(() => {
+    logger.buf = [];
+  });
+
+  it('adds context fields to messages', async () => {
+    const res = await withLogContext({ requestId: 'r1' }, async () => {
+      iff.info('before');
+      await new Promise((res_) => {
+        setImmediate(res_);
+      });
+      iff.info('after');
+      return 42;
+    });
+    iff.info('outside');
+    ckEq(res, 42);
+    ckEq(logger.buf, [
+      {
+        level: 'info', message: 'before', app: 'a', requestId: 'r1',
+      },
+      {
+        level: 'info', message: 'after', app: 'a', requestId: 'r1',
+      },
+      {
+        level: 'info', message: 'outside', app: 'a', requestId: 'none',
+      },
+    ]);
+  });
+
+  it('nests scopes', () => {
+    withLogContext({ requestId: 'r1', user: 'u' }, () => {
+      withLogContext({ requestId: 'r2', step: 1 }, () => {
+        ckEq(getLogContext(), { requestId: 'r2', user: 'u', step: 1 });
+        iff.info('inner');
+      });
+      ckEq(getLogContext(), { requestId: 'r1', user: 'u' });
+    });
+    ckEq(getLogContext(), {});
+    ckEq(logger.buf, [{
+      level: 'info', message: 'inner', app: 'a', requestId: 'r2', user: 'u', step: 1,
+    }]);
+  });
+
+  it('gives explicit fields precedence', () => {
+    withLogContext({ requestId: 'r1' }, () => {
+      iff.infoFields('explicit', { requestId: 'r3' });
+    });
+    ckEq(logger.buf[0].requestId, 'r3');
+  });
+
+  it('keeps scopes of concurrent tasks apart', async () => {
+    const task = (id, ms) => withLogContext({ requestId: id }, async () => {
+      await new Promise((res) => {
+        setTimeout(res, ms);
+      });
+      iff.info(id);
+    });
+    await Promise.all([task('slow', 10), task('fast', 1)]);
+    ckEq(logger.buf.map(({ message, requestId }) => [message, requestId]), [
+      ['fast', 'fast'],
+      ['slow', 'slow'],
+    ]);
+  });
+});
+
+describe('dispatch', () => {
+  // Writes each record after the given delay
+  class SlowLogger extends LoggerBase {
+    constructor(delays, opts) {
+      super(opts);
+      Object.assign(this, { delays, written: [] });
+    }
+
+    async _logImpl(fields) {
+      await new Promise((res) => {
+        setTimeout(res, this.delays.shift() || 0);
+      });
+      this.written.push(fields.message[0]);
+    }
+  }
+
+  it('is synchronous for synchronous loggers', () => {
+    const mem = new MemLogger({ formatter: messageFormatJsonStatic });
+    const multi = new MultiLogger({ mem });
+    const iff = new SimpleInterface({ logger: multi });
+    ckEq(multi.log(makeLogMessage({ message: ['a'] })), undefined);
+    iff.info('b');
+    ckEq(mem.buf.map(({ message }) => message), ['a', 'b']);
+  });
+
+  it('keeps the order for asynchronous loggers', async () => {
+    const slow = new SlowLogger([20, 1, 5]);
+    const mem = new MemLogger({ formatter: messageFormatJsonStatic });
+    const iff = new SimpleInterface({ logger: new MultiLogger({ slow, mem }) });
+    ['a', 'b', 'c'].forEach((m) => iff.info(m));
+    ckEq(mem.buf.map(({ message }) => message), ['a', 'b', 'c']);
+    ckEq(slow.written, []);
+    const last = slow.log(makeLogMessage({ message: ['d'] }));
+    assert(last instanceof Promise);
+    await last;
+    ckEq(slow.written, ['a', 'b', 'c', 'd']);
+    ckEq(slow.log(makeLogMessage({ message: ['e'] })) instanceof Promise, true);
+    await slow.flush();
+    ckEq(slow.written, ['a', 'b', 'c', 'd', 'e']);
+  });
+
+  it('isolates exceptions of loggers', async () => {
+    const mem = new MemLogger({ formatter: messageFormatJsonStatic });
+    const broken = new MemLogger({
+      filter: () => {
+        throw new Error('Broken');
+      },
+    });
+    const slow = new SlowLogger([1], {
+      filter: (fields) => {
+        if (fields.message[0] === 'a') {
+          throw new Error('Broken');
+        }
+        return fields;
+      },
+    });
+    const multi = new MultiLogger({ broken, slow, mem });
+    multi.log(makeLogMessage({ message: ['a'] }));
+    multi.log(makeLogMessage({ message: ['b'] }));
+    ckEq(mem.buf.map(({ message }) => message), ['a', 'b']);
+    await new Promise((res) => {
+      setTimeout(res, 20);
+    });
+    ckEq(slow.written, ['b', 'Encountered exception while logging!']);
+  });
+});
+
+describe('isLevelEnabled', () => {
+  it('uses the level of loggers', () => {
+    const logger = new MemLogger({ level: 'info' });
+    assert(logger.isLevelEnabled('warn'));
+    assert(logger.isLevelEnabled('info'));
+    assert(!logger.isLevelEnabled('verbose'));
+    logger.level = 'debug';
+    assert(logger.isLevelEnabled('verbose'));
+    ckThrows(Error, () => logger.isLevelEnabled('loud'));
+  });
+
+  it('computes the effective level through the logger tree', () => {
+    const a = new MemLogger({ level: 'info' });
+    const b = new MemLogger({ level: 'warn' });
+    const multi = new MultiLogger({ a, b }, { level: 'verbose' });
+    const iff = new SimpleInterface({ logger: multi, level: 'debug' });
+    assert(iff.isLevelEnabled('info'));
+    assert(!iff.isLevelEnabled('verbose'));
+
+    b.level = 'silly';
+    assert(multi.isLevelEnabled('verbose'));
+    assert(!multi.isLevelEnabled('debug'));
+    assert(iff.isLevelEnabled('verbose'));
+
+    multi.level = 'error';
+    assert(!iff.isLevelEnabled('warn'));
+    multi.level = 'silly';
+    assert(iff.isLevelEnabled('debug'));
+
+    iff.level = 'info';
+    assert(!iff.isLevelEnabled('debug'));
+  });
+
+  it('notices changes to the loggers', () => {
+    const multi = new MultiLogger({ a: new MemLogger({ level: 'error' }) });
+    const iff = new SimpleInterface({ logger: multi });
+    assert(!iff.isLevelEnabled('info'));
+    multi.loggers.set('b', new MemLogger({ level: 'info' }));
+    assert(iff.isLevelEnabled('info'));
+    multi.loggers.delete('b');
+    assert(!iff.isLevelEnabled('info'));
+    multi.loggers = new Map([['c', new MemLogger()]]);
+    assert(iff.isLevelEnabled('info'));
+    multi.loggers.clear();
+    assert(!iff.isLevelEnabled('fatal'));
+    iff.logger = new MemLogger();
+    assert(iff.isLevelEnabled('silly'));
+  });
+
+  it('assumes loggers without isLevelEnabled log everything', () => {
+    const custom = { log: () => undefined };
+    assert(new MultiLogger({ custom }).isLevelEnabled('silly'));
+  });
+
+  it('treats every level as enabled with a filter on the way', () => {
+    const raise = (fields) => fields;
+    const a = new MemLogger({ level: 'error' });
+    const multi = new MultiLogger({ a }, { level: 'warn' });
+    const iff = new SimpleInterface({ logger: multi, level: 'info' });
+    assert(!iff.isLevelEnabled('debug'));
+    a.filter = raise;
+    assert(!iff.isLevelEnabled('debug'));
+    assert(multi.isLevelEnabled('warn'));
+    multi.filter = raise;
+    assert(multi.isLevelEnabled('debug'));
+    assert(!iff.isLevelEnabled('debug'));
+    iff.filter = raise;
+    assert(iff.isLevelEnabled('silly'));
+    ckThrows(Error, () => iff.isLevelEnabled('loud'));
+  });
+
+  it('makes SimpleInterface skip disabled messages', () => {
+    const logger = new MemLogger({ level: 'info', formatter: messageFormatJsonStatic });
+    const seen = [];
+    const { log } = logger;
+    logger.log = (fields) => {
+      seen.push(fields.level);
+      return log.call(logger, fields);
+    };
+    const iff = new SimpleInterface({ logger });
+    iff.debug('a');
+    iff.info('b');
+    ckEq(seen, ['info']);
+    ckEq(logger.buf, [{ level: 'info', message: 'b' }]);
+  });
+
+  it('lets SimpleInterface fields and filters change the level', () => {
+    const raiseDebug = (fields) => (
+      { ...fields, level: fields.level === 'debug' ? 'info' : fields.level });
+    const logger = new MemLogger({ level: 'info', formatter: messageFormatJsonStatic });
+    const iff = new SimpleInterface({ logger });
+    iff.sillyFields('Hello World', { level: 'error', message: ['Fooled!'] });
+    ckEq(logger.buf, [{ level: 'error', message: 'Fooled!' }]);
+
+    const raising = new SimpleInterface({ logger, filter: raiseDebug });
+    raising.debug('Raised');
+    raising.verbose('Dropped');
+    ckEq(logger.buf[1], { level: 'info', message: 'Raised' });
+    ckEq(logger.buf.length, 2);
+
+    const downstream = new MemLogger({
+      level: 'info', formatter: messageFormatJsonStatic, filter: raiseDebug,
+    });
+    const plain = new SimpleInterface({ logger: downstream });
+    plain.debug('Raised downstream');
+    plain.verbose('Dropped');
+    ckEq(downstream.buf, [{ level: 'info', message: 'Raised downstream' }]);
+
+    const viaMulti = new MemLogger({ level: 'info', formatter: messageFormatJsonStatic });
+    const multi = new MultiLogger({ viaMulti }, { filter: raiseDebug });
+    new SimpleInterface({ logger: multi }).debug('Raised by multi');
+    ckEq(viaMulti.buf, [{ level: 'info', message: 'Raised by multi' }]);
+  });
+
+  it('works with derived loggers', () => {
+    const iff = new SimpleInterface({ logger: new MemLogger(), level: 'info' });
+    const derived = deriveLogger(iff, { level: 'debug' });
+    assert(derived.isLevelEnabled('debug'));
+    assert(!iff.isLevelEnabled('debug'));
+    ckEq(derived.logger, iff.logger);
+  });
+});
+
+describe('lazy', () => {
+  const counted = (val) => {
+    const fn = () => {
+      fn.calls += 1;
+      return val;
+    };
+    fn.calls = 0;
+    return fn;
+  };
+
+  it('computes values only when writing', () => {
+    const logger = new MemLogger({ level: 'info', formatter: messageFormatJsonStatic });
+    const iff = new SimpleInterface({ logger, level: 'verbose' });
+    const msgFn = counted({ big: 'dump' });
+    const fieldFn = counted(42);
+    iff.debugFields('Dump ', lazy(msgFn), { answer: lazy(fieldFn) });
+    iff.verboseFields('Dump ', lazy(msgFn), { answer: lazy(fieldFn) });
+    ckEq([msgFn.calls, fieldFn.calls], [0, 0]);
+    iff.infoFields('Dump ', lazy(msgFn), { answer: lazy(fieldFn) });
+    ckEq([msgFn.calls, fieldFn.calls], [1, 1]);
+    ckEq(logger.buf, [{ level: 'info', message: "Dump { big: 'dump' }", answer: 42 }]);
+  });
+
+  it('computes values after the filter', () => {
+    const fn = counted('x');
+    const seen = [];
+    const logger = new MemLogger({
+      formatter: messageFormatJsonStatic,
+      filter: (fields) => {
+        seen.push(fields.val);
+        return fields.drop ? undefined : fields;
+      },
+      defaultFields: { dflt: lazy(() => 'd') },
+    });
+    logger.log(makeLogMessage({ val: lazy(fn), drop: true }));
+    ckEq(fn.calls, 0);
+    assert(seen[0] instanceof Lazy);
+    logger.log(makeLogMessage({ val: lazy(fn) }));
+    ckEq(fn.calls, 1);
+    ckEq(logger.buf, [{
+      level: 'info', message: '', val: 'x', dflt: 'd',
+    }]);
+  });
+
+  it('computes values once for all loggers', () => {
+    const mem1 = new MemLogger({ formatter: messageFormatJsonStatic });
+    const mem2 = new MemLogger({ formatter: messageFormatJsonStatic });
+    const quiet = new MemLogger({ level: 'error' });
+    const multi = new MultiLogger({ mem1, mem2, quiet });
+    const fn = counted(42);
+    multi.log(makeLogMessage({ message: [lazy(fn)], val: lazy(fn) }));
+    ckEq(fn.calls, 2); // Once for the message, once for the field
+    ckEq(mem1.buf, [{ level: 'info', message: '42', val: 42 }]);
+    ckEq(mem2.buf, mem1.buf);
+    ckEq(quiet.buf, []);
+
+    const dropped = counted(0);
+    new MultiLogger({ quiet }).log(makeLogMessage({ val: lazy(dropped) }));
+    ckEq(dropped.calls, 0);
+  });
+
+  it('reports errors thrown while computing values', async () => {
+    const logger = new MemLogger();
+    await logger.log(makeLogMessage({
+      val: lazy(() => {
+        throw new Error('Broken');
+      }),
+    }));
+    ckEq(logger.buf.length, 1);
+    ckEq(logger.buf[0].message, ['Encountered exception while logging!']);
+    ckEq(logger.buf[0].exception.message, 'Broken');
+  });
+});
+
+describe('serializers', () => {
+  const reqSerializer = (req) => {
+    reqSerializer.calls += 1;
+    return { method: req.method, url: req.url };
+  };
+  beforeEach(() => {
+    reqSerializer.calls = 0;
+  });
+
+  const req = {
+    method: 'GET', url: '/index.html', socket: {}, headers: { authorization: 'x' },
+  };
+
+  it('converts fields by name', () => {
+    const logger = new MemLogger({
+      level: 'info',
+      formatter: messageFormatJsonStatic,
+      serializers: { req: reqSerializer, missing: reqSerializer },
+    });
+    logger.log(makeLogMessage({ message: ['Request'], req, other: req.url }));
+    logger.log(makeLogMessage({ level: 'debug', message: ['Request'], req }));
+    logger.log(makeLogMessage({ message: ['No request'] }));
+    ckEq(reqSerializer.calls, 1);
+    ckEq(logger.buf, [
+      {
+        level: 'info', message: 'Request', req: { method: 'GET', url: '/index.html' }, other: '/index.html',
+      },
+      { level: 'info', message: 'No request' },
+    ]);
+  });
+
+  it('runs before the filter and supports lazy values', () => {
+    const logger = new MemLogger({
+      serializers: { req: reqSerializer },
+      filter: (fields) => ({ ...fields, url: fields.req.value.url }),
+    });
+    logger.log(makeLogMessage({ req: lazy(() => req) }));
+    ckEq(logger.buf[0].req, { method: 'GET', url: '/index.html' });
+    ckEq(logger.buf[0].url, '/index.html');
+  });
+
+  it('is applied by each logger', () => {
+    const mem = new MemLogger({ serializers: { req: ({ url }) => url } });
+    const multi = new MultiLogger({ mem }, { serializers: { req: reqSerializer } });
+    multi.log(makeLogMessage({ req }));
+    ckEq(mem.buf[0].req, '/index.html');
+    ckEq(reqSerializer.calls, 1);
+
+    const base = new LoggerBase({ serializers: { req: reqSerializer } });
+    ckEq(deriveLogger(base, {}).serializers, base.serializers);
+  });
+});
+
+describe('createDefaultLogger', () => {
+  it('logs to the console at info by default', () => {
+    const logger = createDefaultLogger({ env: {} });
+    ckEq([...logger.loggers.keys()], ['default']);
+    const def = logger.loggers.get('default');
+    assert(def instanceof ConsoleLogger);
+    ckEq(def.level, 'info');
+    ckEq(def.formatter, messageFormatConsole);
+    ckEq(logger.defaultFields, {});
+  });
+
+  it('reads the configuration from the environment', () => {
+    const dir = mkdtempSync(path.join(tmpdir(), 'helix-log-env-'));
+    try {
+      const file = path.join(dir, 'app.log');
+      const logger = createDefaultLogger({
+        env: {
+          HELIX_LOG_LEVEL: 'debug',
+          HELIX_LOG_FORMAT: 'json',
+          HELIX_LOG_FILE: file,
+          HELIX_LOG_DEFAULT_FIELDS: '{"app":"pipeline"}',
+        },
+      });
+      const def = logger.loggers.get('default');
+      const fileLogger = logger.loggers.get('file');
+      ckEq(def.level, 'debug');
+      ckEq(def.formatter, messageFormatJsonString);
+      ckEq(fileLogger.level, 'debug');
+      ckEq(fileLogger.formatter, messageFormatJsonString);
+
+      const ss = new StringStream();
+      def.stream = ss;
+      new SimpleInterface({ logger }).debug('Hello');
+      fileLogger.close();
+      const { timestamp: _, ...fields } = JSON.parse(ss.extract());
+      ckEq(fields, { app: 'pipeline', level: 'debug', message: 'Hello' });
+      ckEq(readFileSync(file, 'utf-8'), ss.extract());
+    } finally {
+      rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  it('does not use console format for files', () => {
+    const dir = mkdtempSync(path.join(tmpdir(), 'helix-log-env-'));
+    try {
+      const logger = createDefaultLogger({
+        env: { HELIX_LOG_FILE: path.join(dir, 'app.log'), HELIX_LOG_FORMAT: '' },
+      });
+      ckEq(logger.loggers.get('default').formatter, messageFormatConsole);
+      ckEq(logger.loggers.get('file').formatter, messageFormatTechnical);
+      logger.loggers.get('file').close();
+    } finally {
+      rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  it('rejects invalid configuration', () => {
+    const ck = (env, re) => {
+      const err = ckThrows(Error, () => createDefaultLogger({ env }));
+      assert(err.message.match(re), err.message);
+    };
+    ck({ HELIX_LOG_LEVEL: 'loud' }, /^Invalid HELIX_LOG_LEVEL "loud"; must be one of fatal, error, warn, info/);
+    ck({ HELIX_LOG_FORMAT: 'xml' }, /^Invalid HELIX_LOG_FORMAT "xml"; must be one of console, simple, technical, json\.$/);
+    ck({ HELIX_LOG_LEVEL: 'toString' }, /^Invalid HELIX_LOG_LEVEL "toString"/);
+    ck({ HELIX_LOG_LEVEL: 'constructor' }, /^Invalid HELIX_LOG_LEVEL "constructor"/);
+    ck({ HELIX_LOG_FORMAT: 'hasOwnProperty' }, /^Invalid HELIX_LOG_FORMAT "hasOwnProperty"/);
+    ck({ HELIX_LOG_DEFAULT_FIELDS: '{' }, /^Invalid HELIX_LOG_DEFAULT_FIELDS: .*JSON/);
+    ck({ HELIX_LOG_DEFAULT_FIELDS: '[1]' }, /^Invalid HELIX_LOG_DEFAULT_FIELDS: must be a JSON object, not Array\.$/);
+  });
+});
@@ -0,0 +1,118 @@
+/*
+ * Copyright 2026 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+/* eslint-env mocha */
+import assert from 'node:assert';
+import {
+  MemLogger, messageFormatJsonStatic, NamedLoggers, parseNamespaceLevels, SimpleInterface,
+} from '../src/index.js';
+import { ckEq, ckThrows } from './util.js';
+
+describe('parseNamespaceLevels', () => {
+  it('parses specifications', () => {
+    ckEq(parseNamespaceLevels(''), {});
+    ckEq(parseNamespaceLevels('helix.pipeline=debug, helix.pipeline.fetch = warn,'), {
+      'helix.pipeline': 'debug',
+      'helix.pipeline.fetch': 'warn',
+    });
+    ckEq(parseNamespaceLevels('helix:*=debug,*=error'), {
+      helix: 'debug',
+      '': 'error',
+    });
+  });
+
+  it('rejects invalid specifications', () => {
+    ckThrows(Error, () => parseNamespaceLevels('helix'));
+    ckThrows(Error, () => parseNamespaceLevels('=debug'));
+    ckThrows(Error, () => parseNamespaceLevels('a=b=c'));
+    ckThrows(Error, () => parseNamespaceLevels('helix=loud'));
+  });
+});
+
+describe('NamedLoggers', () => {
+  const setup = (opts) => {
+    const mem = new MemLogger({ formatter: messageFormatJsonStatic });
+    const base = new SimpleInterface({ logger: mem, level: 'info', defaultFields: { app: 'x' } });
+    return { mem, loggers: new NamedLoggers(base, { env: {}, ...opts }) };
+  };
+
+  it('throws on unknown options', () => {
+    ckThrows(Error, () => new NamedLoggers(new SimpleInterface(), { level: 'debug' }));
+  });
+
+  it('adds the logger name to every message', () => {
+    const { mem, loggers } = setup();
+    loggers.get('helix.pipeline').infoFields('Hello', { foo: 42 });
+    ckEq(mem.buf, [
+      {
+        level: 'info', message: 'Hello', logger: 'helix.pipeline', app: 'x', foo: 42,
+      },
+    ]);
+  });
+
+  it('returns the same logger for the same name', () => {
+    const { loggers } = setup();
+    assert.strictEqual(loggers.get('a.b'), loggers.get('a.b'));
+    assert.notStrictEqual(loggers.get('a.b'), loggers.get('a'));
+  });
+
+  it('inherits levels from parent namespaces', () => {
+    const { loggers } = setup({ levels: 'helix.pipeline=debug,helix.pipeline.fetch=warn' });
+    ckEq(loggers.get('helix').level, 'info');
+    ckEq(loggers.get('helix.pipeline').level, 'debug');
+    ckEq(loggers.get('helix.pipeline.render').level, 'debug');
+    ckEq(loggers.get('helix.pipeline.fetch').level, 'warn');
+    ckEq(loggers.get('helix.pipeline.fetch.http').level, 'warn');
+    ckEq(loggers.get('helix.pipelines').level, 'info');
+  });
+
+  it('filters messages by namespace level', () => {
+    const { mem, loggers } = setup({ levels: { 'helix.pipeline': 'debug' } });
+    loggers.get('helix.pipeline.render').debug('shown');
+    loggers.get('helix.other').debug('hidden');
+    ckEq(mem.buf.map((m) => m.message), ['shown']);
+  });
+
+  it('prefers levels from the environment', () => {
+    const { loggers } = setup({
+      levels: { helix: 'debug', 'helix.a': 'verbose' },
+      env: { HELIX_LOG_NAMESPACES: 'helix=error,*=warn' },
+    });
+    ckEq(loggers.get('helix.a').level, 'verbose');
+    ckEq(loggers.get('helix.b').level, 'error');
+    ckEq(loggers.get('other').level, 'warn');
+  });
+
+  it('updates existing loggers when levels change', () => {
+    const { loggers } = setup();
+    const log = loggers.get('helix.pipeline.fetch');
+    loggers.setLevel('helix.*', 'silly');
+    ckEq(log.level, 'silly');
+    loggers.setLevel('helix.pipeline', 'warn');
+    ckEq(log.level, 'warn');
+    loggers.setLevel('helix.pipeline', undefined);
+    ckEq(log.level, 'silly');
+    ckThrows(Error, () => loggers.setLevel('helix', 'loud'));
+  });
+
+  it('treats Object.prototype property names as plain namespaces', () => {
+    const { loggers } = setup({ levels: 'constructor=debug' });
+    ckEq(loggers.get('toString').level, 'info');
+    ckEq(loggers.get('hasOwnProperty.x').level, 'info');
+    ckEq(loggers.get('constructor').level, 'debug');
+    loggers.setLevel('__proto__', 'warn');
+    ckEq(loggers.get('__proto__.a').level, 'warn');
+    ckEq(Object.keys(loggers.levels), ['constructor', '__proto__']);
+    ckEq(Object.prototype.warn, undefined);
+    ckEq(Object.getPrototypeOf(loggers.levels), null);
+  });
+});
@@ -0,0 +1,187 @@
+/*
+ * Copyright 2026 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+/* eslint-env mocha */
+/* eslint-disable no-console */
+import {
+  createRateLimitFilter, MemLogger, messageFormatJsonStatic, SimpleInterface,
+} from '../src/index.js';
+import { ckEq } from './util.js';
+
+describe('createRateLimitFilter', () => {
+  const realNow = Date.now;
+  let now;
+  beforeEach(() => {
+    now = 1000000;
+    Date.now = () => now;
+  });
+  afterEach(() => {
+    Date.now = realNow;
+  });
+
+  const memLogger = (opts = {}) => new MemLogger({ formatter: messageFormatJsonStatic, ...opts });
+  const messages = (logger) => logger.buf.map(({ message }) => message);
+
+  it('limits messages using a token bucket', () => {
+    const logger = memLogger({
+      filter: createRateLimitFilter({ rate: 2, interval: 1000, burst: 3 }),
+    });
+    for (let i = 0; i < 5; i += 1) {
+      logger.log({ level: 'info', message: ['Fetch failed', i] });
+    }
+    ckEq(messages(logger), ['Fetch failed0', 'Fetch failed1', 'Fetch failed2']);
+
+    now += 500; // one token
+    logger.log({ level: 'info', message: ['Fetch failed', 5] });
+    logger.log({ level: 'info', message: ['Fetch failed', 6] });
+    ckEq(messages(logger).length, 4);
+
+    now += 10000; // refilled, but not above burst
+    for (let i = 7; i < 12; i += 1) {
+      logger.log({ level: 'info', message: ['Fetch failed', i] });
+    }
+    ckEq(messages(logger).length, 7);
+  });
+
+  it('limits similar messages separately', () => {
+    const logger = memLogger({ filter: createRateLimitFilter({ rate: 1 }) });
+    logger.log({ level: 'info', message: ['foo', 1] });
+    logger.log({ level: 'info', message: ['foo', 2] });
+    logger.log({ level: 'info', message: ['bar', 3] });
+    logger.log({ level: 'info', message: [{ x: 1 }] });
+    logger.log({ level: 'info', message: [{ x: 1 }] });
+    ckEq(messages(logger), ['foo1', 'bar3', '{ x: 1 }']);
+  });
+
+  it('supports custom keys', () => {
+    const byTemplate = memLogger({ filter: createRateLimitFilter({ rate: 1 }) });
+    byTemplate.log({ level: 'info', message: ['Took %dms', 1], messageTemplate: 'Took %dms' });
+    byTemplate.log({ level: 'info', message: ['Took %dms', 2], messageTemplate: 'Took %dms' });
+    ckEq(messages(byTemplate), ['Took 1ms']);
+
+    const byLevel = memLogger({ level: 'debug', filter: createRateLimitFilter({ rate: 1, key: 'level' }) });
+    byLevel.log({ level: 'info', message: ['a'] });
+    byLevel.log({ level: 'info', message: ['b'] });
+    byLevel.log({ level: 'debug', message: ['c'] });
+    ckEq(messages(byLevel), ['a', 'c']);
+
+    const byFn = memLogger({
+      filter: createRateLimitFilter({ rate: 1, key: ({ user }) => user }),
+    });
+    byFn.log({ level: 'info', message: ['a'], user: 'x' });
+    byFn.log({ level: 'info', message: ['b'], user: 'x' });
+    byFn.log({ level: 'info', message: ['c'], user: 'y' });
+    ckEq(messages(byFn), ['a', 'c']);
+  });
+
+  it('logs summaries of suppressed messages on flush', async () => {
+    const filter = createRateLimitFilter({ rate: 1 });
+    const logger = memLogger({ level: 'debug', filter });
+    logger.log({ level: 'debug', message: ['Retrying'] });
+    logger.log({ level: 'info', message: ['Retrying'] });
+    logger.log({ level: 'warn', message: ['Retrying'] });
+    logger.log({ level: 'debug', message: ['Retrying'] });
+    now += 42000;
+    await logger.flush();
+    ckEq(logger.buf, [
+      { level: 'debug', message: 'Retrying' },
+      {
+        level: 'warn',
+        message: 'Suppressed 3 similar messages in the last 42s',
+        suppressed: 3,
+        rateLimitKey: 'Retrying',
+      },
+    ]);
+
+    // Nothing more to report
+    await logger.flush();
+    ckEq(logger.buf.length, 2);
+  });
+
+  it('logs summaries after the summary interval', async () => {
+    const logger = memLogger({
+      filter: createRateLimitFilter({ rate: 1, summaryInterval: 5 }),
+    });
+    logger.log({ level: 'info', message: ['Hello'] });
+    logger.log({ level: 'info', message: ['Hello'] });
+    logger.log({ level: 'info', message: ['Hello'] });
+    ckEq(logger.buf.length, 1);
+    await new Promise((res) => {
+      setTimeout(res, 30);
+    });
+    ckEq(logger.buf[1].message, 'Suppressed 2 similar messages in the last 0s');
+    ckEq(logger.buf[1].suppressed, 2);
+  });
+
+  it('works as filter of interfaces', async () => {
+    const logger = memLogger();
+    const log = new SimpleInterface({
+      logger,
+      filter: createRateLimitFilter({ rate: 1 }),
+    });
+    log.error('Oops');
+    log.error('Oops');
+    await log.flush();
+    ckEq(messages(logger), ['Oops', 'Suppressed 1 similar messages in the last 0s']);
+    ckEq(logger.buf[1].level, 'error');
+  });
+
+  it('sends summaries to the given logger', async () => {
+    const summaries = memLogger();
+    const filter = createRateLimitFilter({ rate: 1, logger: summaries });
+    const logger = memLogger({ filter });
+    logger.log({ level: 'info', message: ['x'] });
+    logger.log({ level: 'info', message: ['x'] });
+    await filter.flush();
+    ckEq(messages(logger), ['x']);
+    ckEq(messages(summaries), ['Suppressed 1 similar messages in the last 0s']);
+  });
+
+  it('discards idle buckets beyond maxKeys', () => {
+    const logger = memLogger({ filter: createRateLimitFilter({ rate: 1, maxKeys: 2 }) });
+    logger.log({ level: 'info', message: ['a'] });
+    logger.log({ level: 'info', message: ['b'] });
+    now += 1000;
+    logger.log({ level: 'info', message: ['c'] }); // discards a and b
+    logger.log({ level: 'info', message: ['a'] });
+    logger.log({ level: 'info', message: ['c'] });
+    ckEq(messages(logger), ['a', 'b', 'c', 'a']);
+  });
+
+  it('works when called as a plain function', async () => {
+    const summaries = memLogger();
+    const withLogger = createRateLimitFilter({ rate: 1, logger: summaries });
+    const logger = memLogger({ filter: (fields) => withLogger(fields) });
+    logger.log({ level: 'info', message: ['x'] });
+    logger.log({ level: 'info', message: ['x'] });
+    await withLogger.flush();
+    ckEq(messages(summaries), ['Suppressed 1 similar messages in the last 0s']);
+
+    const errors = [];
+    const realError = console.error;
+    console.error = (...args) => errors.push(args.join(' '));
+    try {
+      const plain = createRateLimitFilter({ rate: 1, summaryInterval: 5 });
+      const other = memLogger({ filter: (fields) => plain(fields) });
+      for (let i = 0; i < 5; i += 1) {
+        other.log({ level: 'error', message: ['boom'] });
+      }
+      await new Promise((res) => {
+        setTimeout(res, 30);
+      });
+      ckEq(messages(other), ['boom']);
+      ckEq(errors, ['Suppressed 4 similar messages in the last 0s (rate limit filter without logger for summaries)']);
+    } finally {
+      console.error = realError;
+    }
+  });
+});
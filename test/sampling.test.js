@@ -0,0 +1,111 @@
+/*
+ * Copyright 2026 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+/* eslint-env mocha */
+import assert from 'node:assert';
+import {
+  createSamplingFilter, MemLogger, messageFormatJsonStatic, SimpleInterface,
+} from '../src/index.js';
+import { ckEq, ckThrows } from './util.js';
+
+describe('createSamplingFilter', () => {
+  // Deterministic "random" numbers
+  const sequence = (...vals) => {
+    let idx = 0;
+    return () => {
+      idx += 1;
+      return vals[(idx - 1) % vals.length];
+    };
+  };
+
+  it('samples per level', () => {
+    const filter = createSamplingFilter({
+      rates: { debug: 0.1, verbose: 0.5 },
+      random: sequence(0.05, 0.3, 0.7),
+    });
+    ckEq(filter({ level: 'debug', message: ['a'] }), { level: 'debug', message: ['a'], sampleRate: 0.1 });
+    ckEq(filter({ level: 'debug', message: ['b'] }), undefined);
+    ckEq(filter({ level: 'verbose', message: ['c'] }), undefined);
+    ckEq(filter({ level: 'verbose', message: ['d'] }), { level: 'verbose', message: ['d'], sampleRate: 0.5 });
+    ckEq(filter({ level: 'warn', message: ['e'] }), { level: 'warn', message: ['e'] });
+  });
+
+  it('supports a default rate', () => {
+    const filter = createSamplingFilter({
+      rates: { error: 1 },
+      defaultRate: 0,
+    });
+    ckEq(filter({ level: 'info' }), undefined);
+    ckEq(filter({ level: 'error' }), { level: 'error' });
+  });
+
+  it('keeps roughly the given fraction', () => {
+    const filter = createSamplingFilter({ rates: { debug: 0.25 } });
+    let kept = 0;
+    for (let i = 0; i < 10000; i += 1) {
+      kept += filter({ level: 'debug' }) ? 1 : 0;
+    }
+    assert(kept > 2000 && kept < 3000, kept);
+  });
+
+  it('samples consistently by key', () => {
+    const filter = createSamplingFilter({
+      rates: { debug: 0.2, verbose: 0.5 },
+      key: 'requestId',
+      random: () => assert.fail('Should not use random numbers'),
+    });
+    let keptDebug = 0;
+    for (let i = 0; i < 1000; i += 1) {
+      const requestId = `req-${i}`;
+      const debug = [1, 2, 3].map(() => filter({ level: 'debug', requestId }) !== undefined);
+      const verbose = filter({ level: 'verbose', requestId }) !== undefined;
+      assert(debug.every((k) => k === debug[0]));
+      // kept at the lower rate implies kept at the higher rate
+      assert(!debug[0] || verbose);
+      keptDebug += debug[0] ? 1 : 0;
+    }
+    assert(keptDebug > 130 && keptDebug < 270, keptDebug);
+  });
+
+  it('falls back to random sampling without key', () => {
+    const filter = createSamplingFilter({
+      rates: { debug: 0.5 }, key: 'requestId', random: sequence(0.9),
+    });
+    ckEq(filter({ level: 'debug' }), undefined);
+  });
+
+  it('works as filter of interfaces and loggers', () => {
+    const logger = new MemLogger({
+      formatter: messageFormatJsonStatic,
+      filter: createSamplingFilter({ rates: { debug: 0 } }),
+    });
+    const iff = new SimpleInterface({
+      logger,
+      filter: createSamplingFilter({ rates: { info: 0.5 }, random: sequence(0.1, 0.9) }),
+    });
+    iff.debug('dropped');
+    iff.info('kept');
+    iff.info('dropped');
+    iff.warn('kept');
+    ckEq(logger.buf, [
+      { level: 'info', message: 'kept', sampleRate: 0.5 },
+      { level: 'warn', message: 'kept' },
+    ]);
+  });
+
+  it('rejects invalid configuration', () => {
+    ckThrows(Error, () => createSamplingFilter({ rates: { loud: 0.5 } }));
+    ckThrows(Error, () => createSamplingFilter({ rates: { debug: 2 } }));
+    ckThrows(Error, () => createSamplingFilter({ rates: { debug: '0.5' } }));
+    ckThrows(Error, () => createSamplingFilter({ defaultRate: NaN }));
+  });
+});
@@ -15,9 +15,11 @@
 import assert from 'node:assert';
 import { inspect } from 'node:util';
 
-import { Secret } from '../src/index.js';
+import {
+  jsonifyForLog, messageFormatJson, Secret, unwrapSecrets, wrapSecrets,
+} from '../src/index.js';
 
-import { ckEq } from './util.js';
+import { ckEq, ckThrows } from './util.js';
 
 describe('Secret', () => {
   it('Can be initialized, explicitly set and extracted', () => {
@@ -33,11 +35,21 @@ describe('Secret', () => {
   });
 
   const ck = (what, fn) => {
-    it('cannot be extracted using ', () => {
+    it(`cannot be extracted using ${what}`, () => {
       const uu = 'cb1e7724-be69-432f-bf83-9762ba5608ee';
-      const s = new Secret(uu);
-      const x = inspect(fn(s), { depth: null, colors: false });
-      assert(!x.match(uu));
+      const variants = [
+        new Secret(uu),
+        new Secret(uu, { fingerprint: true }),
+        new Secret(uu, { ttl: 60000 }),
+        new Secret(uu, { readOnce: true }),
+        new Secret(Buffer.from(uu)),
+        new Secret(new Secret(uu)),
+      ];
+      for (const s of variants) {
+        const x = inspect(fn(s), { depth: null, colors: false });
+        assert(!x.match(uu));
+        assert(!x.match(Buffer.from(uu).toString('hex').slice(0, 16)));
+      }
     });
   };
 
@@ -46,4 +58,139 @@ describe('Secret', () => {
   ck('JSON', (x) => JSON.stringify(x));
   ck('Object.keys', (x) => Object.keys(x));
   ck('Object.getOwnPropertyDescriptors', (x) => Object.getOwnPropertyDescriptors(x));
+
+  it('serializes to the same marker everywhere', () => {
+    const s = new Secret('hunter2');
+    ckEq(inspect(s), '[Hidden Secret]');
+    ckEq(JSON.stringify({ s }), '{"s":"[Hidden Secret]"}');
+    ckEq(jsonifyForLog({ s }), { s: '[Hidden Secret]' });
+    ckEq(messageFormatJson({ level: 'info', message: ['Key: ', s] }), {
+      level: 'info',
+      message: 'Key: [Hidden Secret]',
+    });
+  });
+
+  it('can include a fingerprint', () => {
+    const a = new Secret('hunter2', { fingerprint: true, salt: 'my-app' });
+    const b = new Secret('hunter2', { fingerprint: true, salt: 'my-app' });
+    const c = new Secret('hunter3', { fingerprint: true, salt: 'my-app' });
+    const d = new Secret('hunter2', { fingerprint: true, salt: 'other-app' });
+    ckEq(a.fingerprint, '64188066');
+    ckEq(`${a}`, '[Hidden Secret 64188066]');
+    ckEq(inspect(a), '[Hidden Secret 64188066]');
+    ckEq(jsonifyForLog(a), '[Hidden Secret 64188066]');
+    ckEq(b.fingerprint, a.fingerprint);
+    assert(c.fingerprint !== a.fingerprint);
+    assert(d.fingerprint !== a.fingerprint);
+    ckEq(new Secret('hunter2').fingerprint, undefined);
+
+    // Default salt is stable within the process
+    const e = new Secret({ user: 'x' }, { fingerprint: true });
+    const f = new Secret({ user: 'x' }, { fingerprint: true });
+    assert.match(e.fingerprint, /^[0-9a-f]{8}$/);
+    ckEq(e.fingerprint, f.fingerprint);
+    ckEq(new Secret(Buffer.from('hunter2'), { fingerprint: true, salt: 'my-app' }).fingerprint, '64188066');
+    assert.match(new Secret(undefined, { fingerprint: true }).fingerprint, /^[0-9a-f]{8}$/);
+
+    // Follows changes of the value
+    a.secret = 'hunter3';
+    ckEq(a.fingerprint, c.fingerprint);
+  });
+
+  it('can be loaded from the environment', () => {
+    process.env.HELIX_LOG_TEST_SECRET = 'hunter2';
+    try {
+      const s = Secret.fromEnv('HELIX_LOG_TEST_SECRET', { readOnce: true });
+      ckEq(s.secret, 'hunter2');
+      ckThrows(Error, () => s.secret);
+    } finally {
+      delete process.env.HELIX_LOG_TEST_SECRET;
+    }
+    const err = ckThrows(Error, () => Secret.fromEnv('HELIX_LOG_TEST_SECRET'));
+    ckEq(err.message, 'Environment variable not set: HELIX_LOG_TEST_SECRET');
+  });
+
+  it('can expire', () => {
+    const realNow = Date.now;
+    let now = 1000;
+    Date.now = () => now;
+    try {
+      const s = new Secret(42, { ttl: 500 });
+      const t = new Secret(42, { expiresAt: new Date(2000) });
+      now = 1499;
+      ckEq(s.secret, 42);
+      ckEq(s.secret, 42);
+      now = 1500;
+      ckEq(ckThrows(Error, () => s.secret).message, 'Secret expired at 1970-01-01T00:00:01.500Z.');
+      ckEq(t.secret, 42);
+
+      // Assigning does not extend the lifetime
+      s.secret = 23;
+      ckThrows(Error, () => s.secret);
+      now = 2000;
+      ckThrows(Error, () => t.secret);
+    } finally {
+      Date.now = realNow;
+    }
+  });
+
+  it('can be read only once', () => {
+    const s = new Secret('x', { readOnce: true, fingerprint: true });
+    const fp = s.fingerprint;
+    ckEq(s.secret, 'x');
+    ckEq(ckThrows(Error, () => s.secret).message, 'Secret can only be read once.');
+    ckEq(s.fingerprint, fp);
+    s.secret = 'y';
+    ckEq(s.secret, 'y');
+    ckThrows(Error, () => s.secret);
+
+    // Reading the inner secret through the outer one counts too
+    const inner = new Secret('z', { readOnce: true });
+    ckEq(new Secret(inner).secret, 'z');
+    ckThrows(Error, () => inner.secret);
+  });
+
+  it('can be disposed', () => {
+    const buf = Buffer.from('hunter2');
+    const s = new Secret(buf, { fingerprint: true });
+    ckEq(s.secret, buf);
+    s.dispose();
+    ckEq(buf, Buffer.alloc(7));
+    ckEq(ckThrows(Error, () => s.secret).message, 'Secret has been disposed.');
+    ckEq(s.fingerprint, undefined);
+    ckEq(inspect(s), '[Hidden Secret]');
+
+    const t = new Secret('x');
+    t.dispose();
+    ckThrows(Error, () => t.secret);
+  });
+
+  it('can be wrapped and unwrapped in nested objects', () => {
+    const config = {
+      db: { host: 'localhost', password: 'hunter2' },
+      services: [{ name: 'a', apiKey: 'k1' }, { name: 'b', apikey: new Secret('k2') }],
+      tokens: new Map([['github', 't1']]),
+      apiKey: 'top',
+    };
+    const wrapped = wrapSecrets(config, ['db.password', 'services.*.apiKey', 'tokens.*'], { readOnce: true });
+    ckEq(config.db.password, 'hunter2');
+    ckEq(wrapped.db.host, 'localhost');
+    assert(wrapped.db.password instanceof Secret);
+    assert(wrapped.services[0].apiKey instanceof Secret);
+    assert.strictEqual(wrapped.services[1].apikey, config.services[1].apikey);
+    assert(wrapped.tokens.get('github') instanceof Secret);
+    ckEq(wrapped.apiKey, 'top');
+    ckEq(inspect(wrapped).match(/hunter2|k1|t1/), null);
+
+    const plain = unwrapSecrets(wrapped);
+    ckEq(plain, {
+      db: { host: 'localhost', password: 'hunter2' },
+      services: [{ name: 'a', apiKey: 'k1' }, { name: 'b', apikey: 'k2' }],
+      tokens: new Map([['github', 't1']]),
+      apiKey: 'top',
+    });
+    ckThrows(Error, () => unwrapSecrets(wrapped.db)); // read once
+    ckEq(unwrapSecrets(new Secret({ inner: new Secret(1) })), { inner: 1 });
+    ckEq(wrapSecrets(1, ['**']), 1);
+  });
 });
@@ -12,8 +12,12 @@
 
 /* eslint-env mocha */
 /* eslint-disable class-methods-use-this,max-classes-per-file */
+import assert from 'node:assert';
+import querystring from 'node:querystring';
 import { URL } from 'node:url';
-import { jsonifyForLog, JsonifyForLog } from '../src/index.js';
+import {
+  jsonifyForLog, JsonifyForLog, makeLogMessage, messageFormatJson, messageFormatJsonString,
+} from '../src/index.js';
 import { ckEq } from './util.js';
 import { typename, type } from '../src/util.js';
 
@@ -48,6 +52,18 @@ describe('serialize-json', () => {
     epsilon: new CustomClass(),
     zeta: new CustomException('Hello World'),
     eta: new CustomFallbackClass(),
+    theta: 12345678901234567890n,
+    iota: Symbol('foo'),
+    kappa: /ab+c/gi,
+    lambda: function namedFunction() {},
+    mu: async () => {},
+    nu: Buffer.from('Hello'),
+    xi: new Float64Array([1.5, -2]),
+    omicron: new Headers({ 'Content-Type': 'text/plain', Accept: '*/*' }),
+    pi: new Request('https://example.com/api', {
+      method: 'POST', headers: { 'x-id': '42' }, body: 'secret body',
+    }),
+    rho: new Response('secret body', { status: 404, statusText: 'Not Found', headers: { etag: 'x' } }),
   };
 
   const flatOut = {
@@ -83,6 +99,27 @@ describe('serialize-json', () => {
         values: [['bar', 23]],
       },
     },
+    theta: { $type: 'BigInt', value: '12345678901234567890' },
+    iota: { $type: 'Symbol', value: 'Symbol(foo)' },
+    kappa: { $type: 'RegExp', value: '/ab+c/gi' },
+    lambda: { $type: 'Function', name: 'namedFunction' },
+    mu: { $type: 'AsyncFunction', name: 'mu' },
+    nu: { $type: 'Buffer', length: 5, base64: 'SGVsbG8=' },
+    xi: { $type: 'Float64Array', values: [1.5, -2] },
+    omicron: { accept: '*/*', 'content-type': 'text/plain' },
+    pi: {
+      $type: 'Request',
+      method: 'POST',
+      url: 'https://example.com/api',
+      headers: { 'content-type': 'text/plain;charset=UTF-8', 'x-id': '42' },
+    },
+    rho: {
+      $type: 'Response',
+      status: 404,
+      statusText: 'Not Found',
+      url: '',
+      headers: { 'content-type': 'text/plain;charset=UTF-8', etag: 'x' },
+    },
   };
 
   const inp = {
@@ -124,4 +161,248 @@ describe('serialize-json', () => {
   it('serializes complex example', () => {
     ckEq(jsonifyForLog(inp), out);
   });
+
+  it('produces output JSON.stringify accepts', () => {
+    const json = JSON.parse(JSON.stringify(jsonifyForLog(flatInp)));
+    ckEq(json.theta, flatOut.theta);
+    ckEq(json.iota, flatOut.iota);
+  });
+
+  it('applies limits to built-in types', () => {
+    ckEq(jsonifyForLog(new Uint8Array([1, 2, 3]), { maxArrayLength: 2 }), {
+      $type: 'Uint8Array',
+      values: [1, 2, { $truncated: 'items', omitted: 1 }],
+    });
+    ckEq(jsonifyForLog(Buffer.from('Hello World'), { maxStringLength: 4 }), {
+      $type: 'Buffer', length: 11, base64: 'SGVs…[truncated 12 characters]',
+    });
+    ckEq(jsonifyForLog({ h: new Headers({ a: 'b' }), b: Buffer.from('x') }, { maxDepth: 1 }), {
+      h: { $truncated: 'depth', $type: 'Headers' },
+      b: { $truncated: 'depth', $type: 'Buffer' },
+    });
+    ckEq(jsonifyForLog(new BigInt64Array([1n])), {
+      $type: 'BigInt64Array',
+      values: [{ $type: 'BigInt', value: '1' }],
+    });
+  });
+
+  it('serializes objects without a prototype like plain objects', () => {
+    const q = querystring.parse('a=1&b=2&b=3');
+    const bare = Object.create(null);
+    bare.nested = { self: bare };
+    ckEq(jsonifyForLog({ q, bare }), {
+      q: { a: '1', b: ['2', '3'] },
+      bare: { nested: { self: { $ref: '[Circular]' } } },
+    });
+    ckEq(jsonifyForLog(bare, { maxDepth: 0 }), { $truncated: 'depth', $type: 'Object' });
+    ckEq(
+      JSON.parse(messageFormatJsonString(makeLogMessage({ message: ['Hi'], q }))).q,
+      { a: '1', b: ['2', '3'] },
+    );
+  });
+
+  it('replaces circular references', () => {
+    const req = { url: '/', socket: { open: true } };
+    req.socket.request = req;
+    req.list = [req, req.socket];
+    const shared = { x: 1 };
+    const err = new Error('Oops');
+    err.self = err;
+    ckEq(jsonifyForLog({
+      req, a: shared, b: [shared], m: new Map([['req', req]]), err,
+    }), {
+      req: {
+        url: '/',
+        socket: { open: true, request: { $ref: '[Circular]' } },
+        list: [{ $ref: '[Circular]' }, { open: true, request: { $ref: '[Circular]' } }],
+      },
+      a: { x: 1 },
+      b: [{ x: 1 }],
+      m: {
+        $type: 'Map',
+        values: [['req', {
+          url: '/',
+          socket: { open: true, request: { $ref: '[Circular]' } },
+          list: [{ $ref: '[Circular]' }, { open: true, request: { $ref: '[Circular]' } }],
+        }]],
+      },
+      err: {
+        $type: 'Error',
+        name: 'Error',
+        message: 'Oops',
+        stack: err.stack,
+        code: undefined,
+        self: { $ref: '[Circular]' },
+      },
+    });
+
+    class Node {
+      constructor() {
+        this.self = this;
+      }
+    }
+    ckEq(jsonifyForLog(new Node()), { $type: 'Node', self: { $ref: '[Circular]' } });
+    class Looping {
+      toJSON() {
+        return this;
+      }
+    }
+    ckEq(jsonifyForLog(new Looping()), { $ref: '[Circular]' });
+  });
+
+  it('limits the depth', () => {
+    const nested = {
+      a: { b: { c: 1 }, l: [[1]] },
+      m: new Map([['x', { y: 1 }]]),
+      e: new Error('x'),
+      u: new CustomFallbackClass(),
+      d: new Date('2019-08-01T10:16:30.810Z'),
+      s: new CustomClass(),
+    };
+    ckEq(jsonifyForLog(nested, { maxDepth: 2 }), {
+      a: {
+        b: { $truncated: 'depth', $type: 'Object' },
+        l: { $truncated: 'depth', $type: 'Array' },
+      },
+      m: { $type: 'Map', values: [['x', { $truncated: 'depth', $type: 'Object' }]] },
+      e: {
+        $type: 'Error', name: 'Error', message: 'x', stack: nested.e.stack, code: undefined,
+      },
+      u: { $type: 'CustomFallbackClass', foo: 42, bar: { $truncated: 'depth', $type: 'Map' } },
+      d: '2019-08-01T10:16:30.810Z',
+      s: [1, 2, 3, 4],
+    });
+    ckEq(jsonifyForLog({ a: 1 }, { maxDepth: 0 }), { $truncated: 'depth', $type: 'Object' });
+    ckEq(jsonifyForLog('x', { maxDepth: 0 }), 'x');
+  });
+
+  it('limits arrays and strings', () => {
+    const opts = { maxArrayLength: 3, maxStringLength: 5 };
+    ckEq(jsonifyForLog([1, 2, 3], opts), [1, 2, 3]);
+    ckEq(jsonifyForLog([1, 2, 3, 4, 5], opts), [1, 2, 3, { $truncated: 'items', omitted: 2 }]);
+    ckEq(jsonifyForLog(new Set([1, 2, 3, 4]), opts), {
+      $type: 'Set',
+      values: [1, 2, 3, { $truncated: 'items', omitted: 1 }],
+    });
+    ckEq(jsonifyForLog({ s: 'Hello', t: 'Hello World' }, opts), {
+      s: 'Hello',
+      t: 'Hello…[truncated 6 characters]',
+    });
+  });
+
+  it('limits the total size', () => {
+    const big = 'x'.repeat(1000);
+    ckEq(jsonifyForLog({ a: big, b: big }, { maxSize: 100 }), {
+      a: `${'x'.repeat(91)}…[truncated 909 characters]`,
+      $truncated: 'size',
+    });
+    ckEq(
+      jsonifyForLog([big, 1, 2], { maxSize: 10 }),
+      [`${'x'.repeat(6)}…[truncated 994 characters]`, { $truncated: 'size', omitted: 2 }],
+    );
+    ckEq(jsonifyForLog(big, { maxSize: 0 }), '…[truncated 1000 characters]');
+
+    const many = Array.from({ length: 100000 }, (_, idx) => ({ idx }));
+    const json = JSON.stringify(jsonifyForLog({ many }, { maxSize: 1000 }));
+    assert(json.length < 1100);
+    assert.match(json, /\{"\$truncated":"size","omitted":\d+\}\]\}$/);
+  });
+
+  it('passes limits through messageFormatJson', () => {
+    const fields = { level: 'info', message: ['Hello ', 'World'], req: {} };
+    fields.req.self = fields.req;
+    ckEq(messageFormatJson(fields, { maxStringLength: 5 }), {
+      level: 'info',
+      message: 'Hello…[truncated 6 characters]',
+      req: { self: { $ref: '[Circular]' } },
+    });
+    ckEq(
+      messageFormatJsonString({ level: 'info', message: ['x'], a: [1, 2] }, { maxArrayLength: 1 }),
+      '{"message":"x","level":"info","a":[1,{"$truncated":"items","omitted":1}]}',
+    );
+  });
+
+  it('serializes causes, aggregated errors and custom properties', () => {
+    const root = new Error('socket hang up');
+    root.code = 'ECONNRESET';
+    const fetchErr = new TypeError('Fetch failed', { cause: root });
+    assign(fetchErr, { statusCode: 502, details: { url: new URL('https://example.com') } });
+    const agg = new AggregateError([fetchErr, 'not an error'], 'All requests failed', {
+      cause: 'Network down',
+    });
+
+    const errOut = (e, extra) => ({
+      $type: typename(type(e)),
+      name: e.name,
+      message: e.message,
+      stack: e.stack,
+      code: e.code,
+      ...extra,
+    });
+    ckEq(jsonifyForLog(agg), errOut(agg, {
+      errors: [
+        errOut(fetchErr, {
+          statusCode: 502,
+          details: { url: 'https://example.com/' },
+          cause: errOut(root),
+        }),
+        'not an error',
+      ],
+      cause: 'Network down',
+    }));
+    assert.deepStrictEqual(Object.keys(jsonifyForLog(fetchErr)), [
+      '$type', 'name', 'message', 'stack', 'code', 'statusCode', 'details', 'cause',
+    ]);
+  });
+
+  it('detects cycles in causes', () => {
+    const a = new Error('a');
+    const b = new Error('b', { cause: a });
+    a.cause = b;
+    const json = jsonifyForLog(a);
+    ckEq(json.cause.message, 'b');
+    ckEq(json.cause.cause, { $ref: '[Circular]' });
+    ckEq(jsonifyForLog(a, { maxDepth: 1 }).cause, { $truncated: 'depth', $type: 'Error' });
+  });
+
+  describe('JsonifyForLog.register', () => {
+    class Base {
+      constructor(id) {
+        this.id = id;
+      }
+    }
+    class Derived extends Base {}
+    class Special extends Derived {}
+
+    afterEach(() => {
+      [Base, Special, Date, Error, CustomClass].forEach((cls) => JsonifyForLog.unregister(cls));
+    });
+
+    it('uses registered functions for the class and subclasses', () => {
+      JsonifyForLog.register(Base, (b) => ({ base: b.id, url: new URL('https://example.com') }));
+      JsonifyForLog.register(Special, (b) => `special ${b.id}`);
+      ckEq(jsonifyForLog([new Base(1), new Derived(2), new Special(3)]), [
+        { base: 1, url: 'https://example.com/' },
+        { base: 2, url: 'https://example.com/' },
+        'special 3',
+      ]);
+
+      JsonifyForLog.unregister(Base);
+      ckEq(jsonifyForLog(new Derived(2)), { $type: 'Derived', id: 2 });
+    });
+
+    it('takes precedence over traits and built-in conversions', () => {
+      JsonifyForLog.register(Date, (d) => d.getTime());
+      JsonifyForLog.register(Error, (e) => ({ message: e.message }));
+      JsonifyForLog.register(CustomClass, () => 'custom');
+      ckEq(jsonifyForLog({
+        d: new Date(42), e: new CustomException('x'), c: new CustomClass(),
+      }), { d: 42, e: { message: 'x' }, c: 'custom' });
+    });
+
+    it('detects cycles through registered functions', () => {
+      JsonifyForLog.register(Base, (b) => ({ self: b }));
+      ckEq(jsonifyForLog(new Base(1)), { self: { $ref: '[Circular]' } });
+    });
+  });
 });
@@ -0,0 +1,153 @@
+/*
+ * Copyright 2026 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+/* eslint-env mocha */
+import assert from 'node:assert';
+import {
+  mkdirSync, mkdtempSync, rmSync, writeFileSync,
+} from 'node:fs';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import { fileURLToPath, pathToFileURL } from 'node:url';
+import { jsonifyForLog, parseStackFrames } from '../src/index.js';
+import { ckEq } from './util.js';
+
+const frame = (fields) => ({
+  function: undefined,
+  file: undefined,
+  line: undefined,
+  column: undefined,
+  native: false,
+  async: false,
+  ...fields,
+});
+
+describe('parseStackFrames', () => {
+  it('parses V8 stack traces', () => {
+    const stack = [
+      'Error: Multiple',
+      '    lines',
+      '    at foo (/app/lib.js:1:2)',
+      '    at new Foo (file:///app/foo.js:3:4)',
+      '    at /app/index.js:5:6',
+      '    at Array.map (<anonymous>)',
+      '    at Math.max (native)',
+      '    at async Promise.all (index 0)',
+      '    at async main (/app/main.js:7:8)',
+    ].join('\n');
+    ckEq(parseStackFrames(stack), [
+      frame({
+        function: 'foo', file: '/app/lib.js', line: 1, column: 2,
+      }),
+      frame({
+        function: 'new Foo', file: 'file:///app/foo.js', line: 3, column: 4,
+      }),
+      frame({ file: '/app/index.js', line: 5, column: 6 }),
+      frame({ function: 'Array.map' }),
+      frame({ function: 'Math.max', native: true }),
+      frame({ function: 'Promise.all', async: true }),
+      frame({
+        function: 'main', file: '/app/main.js', line: 7, column: 8, async: true,
+      }),
+    ]);
+    ckEq(parseStackFrames('Error: No frames'), []);
+  });
+
+  it('parses stacks of real errors', () => {
+    const [top] = parseStackFrames(new Error('Oops').stack);
+    ckEq(fileURLToPath(top.file), fileURLToPath(import.meta.url));
+    assert(top.line > 0 && top.column > 0);
+  });
+
+  describe('source maps', () => {
+    let dir;
+    before(() => {
+      dir = mkdtempSync(path.join(tmpdir(), 'helix-log-stack-frames-'));
+      mkdirSync(path.join(dir, 'dist'));
+    });
+    after(() => {
+      rmSync(dir, { recursive: true, force: true });
+    });
+
+    // Line n of the bundle maps to line n + 10 of src/app.ts
+    const map = {
+      version: 3, sources: ['../src/app.ts'], names: [], mappings: 'AAUA;AACA;AACA',
+    };
+    const failFrom = async (name, code, mapFile = undefined, mapData = map) => {
+      const file = path.join(dir, 'dist', name);
+      writeFileSync(file, code);
+      if (mapFile) {
+        writeFileSync(path.join(dir, 'dist', mapFile), JSON.stringify(mapData));
+      }
+      const { fail } = await import(pathToFileURL(file));
+      return fail();
+    };
+    const code = '\nexport const fail = () => new Error("Oops");\n';
+    const original = () => frame({
+      function: 'fail', file: path.join(dir, 'src', 'app.ts'), line: 12, column: 1,
+    });
+
+    it('resolves positions through sourceMappingURL comments', async () => {
+      const err = await failFrom('a.js', `${code}//# sourceMappingURL=a.map\n`, 'a.map');
+      const [top] = parseStackFrames(err.stack, { sourceMaps: true });
+      ckEq(top, original());
+
+      // Without the option, the bundle positions are kept
+      const [raw] = parseStackFrames(err.stack);
+      ckEq(raw.file, pathToFileURL(path.join(dir, 'dist', 'a.js')).href);
+      ckEq(raw.line, 2);
+    });
+
+    it('resolves positions through inline and adjacent source maps', async () => {
+      const inline = Buffer.from(JSON.stringify(map)).toString('base64');
+      const errs = [
+        await failFrom('b.js', `${code}//# sourceMappingURL=data:application/json;base64,${inline}\n`),
+        await failFrom('c.js', code, 'c.js.map'),
+      ];
+      for (const err of errs) {
+        ckEq(parseStackFrames(err.stack, { sourceMaps: true })[0], original());
+      }
+
+      const webpack = await failFrom('g.js', code, 'g.js.map', { ...map, sources: ['webpack://app/src/app.ts'] });
+      ckEq(parseStackFrames(webpack.stack, { sourceMaps: true })[0].file, 'webpack://app/src/app.ts');
+    });
+
+    it('keeps positions without source map', async () => {
+      const err = await failFrom('d.js', code);
+      const [top] = parseStackFrames(err.stack, { sourceMaps: true });
+      ckEq(top.file, pathToFileURL(path.join(dir, 'dist', 'd.js')).href);
+      ckEq(top.line, 2);
+
+      // Missing files and positions not covered by the map
+      await failFrom('f.js', code, 'f.js.map');
+      const bundle = path.join(dir, 'dist', 'f.js');
+      const stack = `Error\n    at x (/nonexistent.js:1:1)\n    at y (${bundle}:9:1)`;
+      ckEq(parseStackFrames(stack, { sourceMaps: true }), [
+        frame({
+          function: 'x', file: '/nonexistent.js', line: 1, column: 1,
+        }),
+        frame({
+          function: 'y', file: bundle, line: 9, column: 1,
+        }),
+      ]);
+    });
+
+    it('is supported by jsonifyForLog', async () => {
+      const err = await failFrom('e.js', code, 'e.js.map');
+      const json = jsonifyForLog({ err }, { stackFrames: true, sourceMaps: true }).err;
+      ckEq(json.stack, err.stack);
+      ckEq(json.frames[0], original());
+      ckEq(jsonifyForLog(err, { stackFrames: true }).frames[0].line, 2);
+      ckEq(jsonifyForLog(err).frames, undefined);
+    });
+  });
+});